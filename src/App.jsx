@@ -1,35 +1,58 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 
-import deckData from "./grixis-tinker-vintage.json";
 import spellFlexOptions from "./spell-flex-options.json";
 import landFlexOptions from "./land-flex-options.json";
 import sideboardFlexOptions from "./sideboard-flex-options.json";
 import cardBlurbs from "./card-blurbs.json";
+import opponentArchetypes from "./opponent-archetypes.json";
+import {
+  GOLDFISH_TURNS,
+  WIN_FLAGS,
+  adviseBottom,
+  analyzeMulligan,
+  buildDeckIndex,
+  expandDeck,
+  isLand,
+  parseCmc,
+  shuffle,
+  simulateGoldfish
+} from "./mulligan-engine.js";
+import {
+  formatDeckAsArena,
+  formatDeckAsDek,
+  formatDeckAsJson,
+  formatDeckAsMarkdown,
+  formatDeckAsText
+} from "./deck-export.js";
+import { cardDetails, searchCards } from "./card-database.js";
+import { compareStats, diffConfigs } from "./config-compare.js";
+import { STAT_COLORS, STAT_ROLES, computeDeckStats } from "./deck-stats.js";
+import { MAX_GROUPS, MAX_MULLIGANS, groupHitChance } from "./draw-odds.js";
+import { parseDeckList } from "./deck-import.js";
+import { BAN_LIST_VERSION, cardLegality, validateDeck } from "./deck-validation.js";
+import { applySharePayload, encodeShareHash, readShareHash } from "./deck-share.js";
+import { applySideboardPlan, countCards, deckSizeProblems, describePlan, planSize } from "./sideboard-plans.js";
+import { SCORING_FIELDS, diffScoringProfile, resolveScoringProfile } from "./scoring-profile.js";
+import {
+  clearScoringProfile,
+  clearWorkingConfig,
+  deleteSnapshot,
+  loadImportedDecks,
+  loadScoringProfile,
+  loadSideboardPlans,
+  loadSnapshots,
+  loadWorkingConfig,
+  saveImportedDecks,
+  saveScoringProfile,
+  saveSideboardPlans,
+  saveSnapshot,
+  saveWorkingConfig
+} from "./deck-storage.js";
 
 import "./VintageDeckGrid.css";
 
-/*
-  Goals of this cleanup:
-  - Fix actual broken React/JS (there were syntax errors in setNewCardInput).
-  - Remove "made up" mana sources / land names and incorrect card rules assumptions.
-  - Make mulligan evaluation closer to how Vintage hands actually function:
-    we try to find a plausible T1 line (play mana, deploy a payoff, cast a cantrip/tutor, etc.).
-
-  This is still a heuristic tool — not a full MTG rules engine — but it should stop saying
-  obviously-wrong things (e.g. pretending you have Underground Sea / fetchlands, or that
-  Trinket Mage costs UU1).
-*/
-
 /* ----------------------------- Small utilities ---------------------------- */
 
-const uniqId = (() => {
-  let n = 0;
-  return () => `${Date.now()}-${++n}`;
-})();
-
-const isLand = (card) => (card?.typeLine || "").toLowerCase().includes("land");
-const isArtifact = (card) => (card?.typeLine || "").toLowerCase().includes("artifact");
-
 const getCardColor = (manaCost, typeLine) => {
   const type = (typeLine || "").toLowerCase();
   if (type.includes("land")) return "land";
@@ -57,40 +80,6 @@ const getCardColor = (manaCost, typeLine) => {
   return "colorless";
 };
 
-const parseCmc = (manaCost) => {
-  if (!manaCost) return 0;
-  const symbols = manaCost.match(/\{([^}]+)\}/g);
-  if (!symbols) return 0;
-
-  let total = 0;
-  for (const sym of symbols) {
-    const content = sym.slice(1, -1);
-
-    if (/^\d+$/.test(content)) {
-      total += parseInt(content, 10);
-      continue;
-    }
-
-    // Hybrid / phyrexian: {U/P}, {2/W}, etc.
-    if (content.includes("/")) {
-      const [a] = content.split("/");
-      total += a === "2" ? 2 : 1;
-      continue;
-    }
-
-    // X/Y/Z treated as 0 for MV display.
-    if (content === "X" || content === "Y" || content === "Z") {
-      total += 0;
-      continue;
-    }
-
-    // {C} counts as 1; colored symbols count as 1.
-    total += 1;
-  }
-
-  return total;
-};
-
 const normalizeManaInput = (raw) => {
   const s = (raw || "").trim();
   if (!s) return "";
@@ -122,15 +111,6 @@ const normalizeManaInput = (raw) => {
   return out.join("");
 };
 
-const shuffle = (arr) => {
-  const a = [...arr];
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
-};
-
 /* --------------------------- Deck/grid helpers --------------------------- */
 
 // Expand aggregated entries into individual card copies (for sideboard & shuffling)
@@ -195,923 +175,12 @@ const buildMobileList = (config, zone = "main") => {
   return items;
 };
 
-const buildDeckIndex = (deck) => {
-  const main = new Map();
-  const side = new Map();
-
-  for (const e of deck?.mainboard || []) {
-    main.set(e.card.name, { ...e, count: e.count || 1 });
-  }
-  for (const e of deck?.sideboard || []) {
-    side.set(e.card.name, { ...e, count: e.count || 1 });
-  }
-
-  return {
-    hasInMain: (name) => main.has(name),
-    hasInSide: (name) => side.has(name),
-    mainEntries: () => Array.from(main.values()),
-    sideEntries: () => Array.from(side.values())
-  };
-};
-
-/* ---------------------------- MTG-ish engine ----------------------------- */
-
-// We track a *mana pool* with:
-// - WUBRG: colored
-// - C: strictly colorless (for {C} requirements)
-// - flex: "any color" mana (can pay colored or generic, but NOT {C})
-const emptyPool = () => ({ W: 0, U: 0, B: 0, R: 0, G: 0, C: 0, flex: 0 });
-
-const addPool = (p, add) => ({
-  W: p.W + (add.W || 0),
-  U: p.U + (add.U || 0),
-  B: p.B + (add.B || 0),
-  R: p.R + (add.R || 0),
-  G: p.G + (add.G || 0),
-  C: p.C + (add.C || 0),
-  flex: p.flex + (add.flex || 0)
-});
-
-const sumMana = (p) => p.W + p.U + p.B + p.R + p.G + p.C + p.flex;
-
-const parseManaCostReq = (manaCost) => {
-  const req = { generic: 0, W: 0, U: 0, B: 0, R: 0, G: 0, C: 0 };
-  if (!manaCost) return req;
-
-  const symbols = manaCost.match(/\{([^}]+)\}/g);
-  if (!symbols) return req;
-
-  for (const sym of symbols) {
-    const c = sym.slice(1, -1);
-    if (/^\d+$/.test(c)) {
-      req.generic += parseInt(c, 10);
-      continue;
-    }
-    if (c === "X" || c === "Y" || c === "Z") continue;
-    if (c === "C") {
-      req.C += 1;
-      continue;
-    }
-    if (c.includes("/")) {
-      // Pay 1 for hybrid/phyrexian in heuristic engine.
-      req.generic += 1;
-      continue;
-    }
-    if (c === "W") req.W += 1;
-    else if (c === "U") req.U += 1;
-    else if (c === "B") req.B += 1;
-    else if (c === "R") req.R += 1;
-    else if (c === "G") req.G += 1;
-    else req.generic += 1;
-  }
-
-  return req;
-};
-
-const canPay = (pool, manaCost) => {
-  const req = parseManaCostReq(manaCost);
-
-  // Copy pool so we can "spend" while checking.
-  const p = { ...pool };
-
-  // 1) Pay strict colorless {C} ONLY from C.
-  if (p.C < req.C) return false;
-  p.C -= req.C;
-
-  // 2) Pay colored requirements from matching colors, then flex.
-  for (const col of ["W", "U", "B", "R", "G"]) {
-    const need = req[col];
-    if (!need) continue;
-    const fromCol = Math.min(p[col], need);
-    p[col] -= fromCol;
-    const remain = need - fromCol;
-    if (remain > 0) {
-      if (p.flex < remain) return false;
-      p.flex -= remain;
-    }
-  }
-
-  // 3) Pay generic from everything remaining.
-  const availableGeneric = p.W + p.U + p.B + p.R + p.G + p.flex + p.C;
-  return availableGeneric >= req.generic;
-};
-
-const pay = (pool, manaCost) => {
-  const req = parseManaCostReq(manaCost);
-  const p = { ...pool };
-
-  // {C}
-  p.C -= req.C;
-
-  // colored
-  for (const col of ["W", "U", "B", "R", "G"]) {
-    const need = req[col];
-    if (!need) continue;
-    const fromCol = Math.min(p[col], need);
-    p[col] -= fromCol;
-    const remain = need - fromCol;
-    if (remain > 0) p.flex -= remain;
-  }
-
-  // generic: spend in a deterministic order (C first, then flex, then colors)
-  let g = req.generic;
-
-  const take = (k) => {
-    const n = Math.min(p[k], g);
-    p[k] -= n;
-    g -= n;
-  };
-
-  take("C");
-  take("flex");
-  take("W");
-  take("U");
-  take("B");
-  take("R");
-  take("G");
-
-  return p;
-};
-
-// Mana abilities for THIS deck's lands/mana rocks.
-const landAbilityKinds = {
-  ANY_COLOR_LIFE: "any_color_life",
-  COLORLESS: "colorless",
-  ACADEMY: "academy"
-};
-
-const getLandKind = (name) => {
-  if (name === "Tolarian Academy") return landAbilityKinds.ACADEMY;
-  if (name === "City of Brass") return landAbilityKinds.ANY_COLOR_LIFE;
-  if (name === "Mana Confluence") return landAbilityKinds.ANY_COLOR_LIFE;
-  if (name === "Starting Town") return "starting_town";
-  // Strip Mine / Urza's Saga (and most utility lands in this list)
-  return landAbilityKinds.COLORLESS;
-};
-
-const manaPermanentKind = (name) => {
-  if (name.startsWith("Mox ")) return "mox";
-  if (name === "Mox Opal") return "opal";
-  if (name === "Mana Crypt") return "crypt";
-  if (name === "Sol Ring") return "ring";
-  if (name === "Mana Vault") return "vault";
-  return null;
-};
-
-const getMoxColor = (name) => {
-  if (name === "Mox Pearl") return "W";
-  if (name === "Mox Sapphire") return "U";
-  if (name === "Mox Jet") return "B";
-  if (name === "Mox Ruby") return "R";
-  if (name === "Mox Emerald") return "G";
-  return null;
-};
-
-const isOneShotMana = (name) => name === "Black Lotus" || name === "Lotus Petal";
-
-const oneShotYield = (name) => {
-  if (name === "Black Lotus") return 3;
-  if (name === "Lotus Petal") return 1;
-  return 0;
-};
-
-const IMPORTANT_CASTS = new Set([
-  // Mana development
-  "Sol Ring",
-  "Mana Vault",
-  "Sensei's Divining Top",
-  "Vexing Bauble",
-  "Voltaic Key",
-  "Manifold Key",
-  "Time Vault",
-  "Crop Rotation",
-
-  // Payoffs / engines
-  "Tinker",
-  "Karn, the Great Creator",
-  "Narset, Parter of Veils",
-  "Trinisphere",
-  "Paradoxical Outcome",
-  "Tezzeret the Seeker",
-  "Tezzeret, Cruel Captain",
-  "Trinket Mage",
-  "Balance",
-  "Timetwister",
-
-  // Selection / tutors
-  "Ancestral Recall",
-  "Brainstorm",
-  "Ponder",
-  "Mystical Tutor",
-  "Vampiric Tutor",
-  "Demonic Tutor",
-]);
-
-const INTERACTION = new Set([
-  "Force of Will",
-  "Force of Negation",
-  "Flusterstorm",
-  "Mental Misstep",
-  "Pyroblast",
-  "Veil of Summer",
-  "Cabal Therapy"
-]);
-
-const isSelectionSpell = (name) =>
-  new Set([
-    "Ancestral Recall",
-    "Brainstorm",
-    "Ponder",
-    "Gitaxian Probe",
-    "Mystical Tutor",
-    "Vampiric Tutor",
-    "Demonic Tutor",
-    "Sensei's Divining Top",
-    "Paradoxical Outcome"
-  ]).has(name);
-
-const isPayoff = (name) =>
-  new Set([
-    "Tinker",
-    "Karn, the Great Creator",
-    "Narset, Parter of Veils",
-    "Trinisphere",
-    "Time Vault",
-    "Tezzeret the Seeker",
-    "Tezzeret, Cruel Captain",
-    "Paradoxical Outcome"
-  ]).has(name);
-
-// Extremely small "T1 action search".
-// We don't try to model the stack or every possible play — just enough sequencing to avoid obvious nonsense.
-const simulateTurn1 = ({ hand, deckIndex }) => {
-  const initialHand = hand.map((c) => ({ ...c }));
-
-  // Pre-play all 0-mana artifacts (they're never worse to have as artifacts-in-play; lotus/petal can stay uncracked).
-  const battlefieldBase = [];
-  const remainingHandBase = [];
-  for (const c of initialHand) {
-    const cmc = isLand(c) ? null : parseCmc(c.manaCost);
-    if (isArtifact(c) && cmc === 0) {
-      battlefieldBase.push({ ...c, _id: uniqId(), tapped: false, zone: "battlefield" });
-    } else {
-      remainingHandBase.push({ ...c });
-    }
-  }
-
-  const landsInHand = remainingHandBase.filter(isLand);
-  const nonLandsBase = remainingHandBase.filter((c) => !isLand(c));
-
-  const landChoices = landsInHand.length ? landsInHand : [null];
-
-  const best = {
-    score: -Infinity,
-    tier: 0,
-    notes: [],
-    final: null
-  };
-
-  const scoreState = (state) => {
-    const names = new Set(state.battlefield.map((c) => c.name));
-    const handNames = new Set(state.hand.map((c) => c.name));
-    const poolTotal = sumMana(state.pool);
-
-    const hasVault = names.has("Time Vault");
-    const hasKey = names.has("Voltaic Key") || names.has("Manifold Key");
-    const hasTezzCruel = names.has("Tezzeret, Cruel Captain");
-    const hasTezzSeeker = names.has("Tezzeret the Seeker");
-
-    // "Virtual win" detectors.
-    // - Vault + (Key) means infinite turns once you can pay {1} each turn.
-    // - Vault + Tezz (either) means free untap each turn.
-    // - Tinker to Blightsteel is treated as a win line.
-    const infiniteTurns =
-      hasVault && (hasTezzCruel || hasTezzSeeker || (hasKey && (poolTotal >= 1 || hasTezzSeeker)));
-
-    const tinkerWin = state.notes.some((n) => n.includes("Tinker → Blightsteel"));
-
-    // Trinket Mage + Time Vault combo (both in hand, not on battlefield)
-    // Trinket Mage (3) → fetch Key, cast Key (1), cast Vault (2), activate (1) = 7 mana total
-    const trinketVaultWin = 
-      handNames.has("Trinket Mage") && 
-      handNames.has("Time Vault") && 
-      !names.has("Trinket Mage") &&
-      !names.has("Time Vault") &&
-      poolTotal >= 7;
-
-    // Demonic Tutor + Time Vault combo (both in hand, not on battlefield)
-    // Demonic Tutor (1B) → fetch Key, cast Key (1), cast Vault (2), activate (1) = 5 mana + B
-    const demonicVaultWin = 
-      handNames.has("Demonic Tutor") && 
-      handNames.has("Time Vault") && 
-      !names.has("Time Vault") &&
-      !handNames.has("Voltaic Key") &&
-      !handNames.has("Manifold Key") &&
-      poolTotal >= 5 &&
-      state.pool.B >= 1; // Need at least 1 black for Demonic Tutor
-
-    // Vault + Key combo with Demonic Tutor for Force backup
-    // Have Vault + Key + Demonic + blue card, tutor for Force, cast combo with protection
-    // Need: 2 for Vault, 1 for Key, 1 for activate, 1B for Demonic = 5 mana + B
-    const vaultKeyForceBackup = 
-      (handNames.has("Time Vault") || names.has("Time Vault")) &&
-      (handNames.has("Voltaic Key") || handNames.has("Manifold Key") || 
-       names.has("Voltaic Key") || names.has("Manifold Key")) &&
-      handNames.has("Demonic Tutor") &&
-      !handNames.has("Force of Will") &&
-      state.hand.some(c => {
-        const cost = c.manaCost || "";
-        return cost.includes("{U}") && c.name !== "Demonic Tutor";
-      }) &&
-      poolTotal >= 5 &&
-      state.pool.B >= 1;
-
-    // Trinket Mage for Vexing Bauble (strong T1 lock piece)
-    // Trinket Mage (UU1 = 3) → fetch Bauble, cast Bauble (1) = 4 mana + UU
-    const trinketBauble = 
-      handNames.has("Trinket Mage") && 
-      !names.has("Trinket Mage") &&
-      !names.has("Vexing Bauble") &&
-      !handNames.has("Vexing Bauble") &&
-      poolTotal >= 4 &&
-      state.pool.U >= 1; // Need at least 1 blue for Trinket Mage
-
-    // Tezzeret Cruel Captain for Vexing Bauble (strong T1 lock piece)
-    // Tezzeret (3 any color) → tutor 0-1 cost artifact (Bauble), cast Bauble (1) = 4 mana
-    const tezzBauble = 
-      handNames.has("Tezzeret, Cruel Captain") && 
-      !names.has("Tezzeret, Cruel Captain") &&
-      !names.has("Vexing Bauble") &&
-      !handNames.has("Vexing Bauble") &&
-      poolTotal >= 4;
-
-    // Tezzeret Cruel Captain + Trinisphere combo
-    // Cast Tezzeret (3), +1 to untap mana artifact (Sol Ring/Mana Vault/Mana Crypt), tap for 2-3 mana, cast Trinisphere (3)
-    // Untapping Sol Ring/Crypt gives 2 mana back, so need 3 + 3 - 2 = 4 total
-    // Untapping Mana Vault gives 3 mana back, so need 3 + 3 - 3 = 3 total (but realistically 4+ safer)
-    const tezzTrinisphere = 
-      handNames.has("Tezzeret, Cruel Captain") &&
-      handNames.has("Trinisphere") &&
-      !names.has("Tezzeret, Cruel Captain") &&
-      !names.has("Trinisphere") &&
-      state.battlefield.filter(c => {
-        if (!isArtifact(c)) return false;
-        const kind = manaPermanentKind(c.name);
-        return kind === "crypt" || kind === "ring" || kind === "vault";
-      }).length >= 1 &&
-      poolTotal >= 4;
-
-    // Tezzeret the Seeker + Time Walk combo
-    // Cast Tezz (UU3 = 5), +1 to untap 2 artifacts, use them for Time Walk (1U), take extra turn, ult Tezz (-5)
-    // Artifacts become 5/5s and swing for lethal (need ~4 artifacts for 20 damage)
-    // Need: UU3 for Tezz, 2 artifacts that can make 1U, Time Walk in hand, 4+ artifacts total
-    const tezzTimeWalkWin = 
-      (handNames.has("Tezzeret the Seeker") || names.has("Tezzeret the Seeker")) &&
-      handNames.has("Time Walk") &&
-      state.pool.U >= 2 &&
-      poolTotal >= 5 &&
-      state.battlefield.filter(c => isArtifact(c)).length >= 4 &&
-      // Check if we have 2+ artifacts that can produce mana
-      state.battlefield.filter(c => {
-        if (!isArtifact(c)) return false;
-        const kind = manaPermanentKind(c.name);
-        return kind === "mox" || kind === "crypt" || kind === "ring" || kind === "vault" || kind === "opal";
-      }).length >= 2;
-
-    // Balance combo: cast 4+ cards, then Balance to force opponent discard
-    // Balance costs 1W, equalizes hands/creatures/lands
-    // Cast count includes tutors/spells that don't leave permanents
-    const balanceCombo = 
-      handNames.has("Balance") &&
-      state.cast.length >= 4 &&
-      state.hand.length <= 3 && // 2 cards left after Balance is cast
-      poolTotal >= 2 &&
-      state.pool.W >= 1;
-
-    // "Big T1" plays.
-    const big =
-      names.has("Karn, the Great Creator") ||
-      names.has("Narset, Parter of Veils") ||
-      names.has("Tezzeret, Cruel Captain") || // Tutors for 0-1 cost artifacts
-      names.has("Trinisphere") ||
-      names.has("Vexing Bauble") || // Lock piece like Trinisphere
-      state.cast.includes("Paradoxical Outcome") || // PO is instant, check cast history
-      names.has("Timetwister") ||
-      balanceCombo ||
-      trinketBauble ||
-      tezzBauble ||
-      tezzTrinisphere;
-
-    // Casting any selection/tutor is usually enough to call the hand functional.
-    const castSelection = state.cast.some((n) => isSelectionSpell(n));
-
-    // Holding up instant-speed Ancestral Recall with Force of Will backup is extremely strong
-    // Better than tapping out for tutors - you get 3 cards at instant speed with protection
-    // Force can be cast for free (pitch blue card) so tapping out doesn't matter
-    const ancestralWithForce = 
-      handNames.has("Ancestral Recall") &&
-      handNames.has("Force of Will") &&
-      poolTotal >= 1 &&
-      state.pool.U >= 1;
-
-    // Gitaxian Probe + Cabal Therapy combo
-    // Cast Probe (free, 2 life) to see opponent's hand, then Therapy (B) to name a card
-    // Better than blind tutoring - you get information and disruption
-    const probeTherapy = 
-      handNames.has("Gitaxian Probe") &&
-      handNames.has("Cabal Therapy") &&
-      state.pool.B >= 1;
-
-    // Instant-speed tutor (Mystical/Vampiric) + Tinker setup
-    // Can tutor EOT for Tinker, draw it, cast it next turn
-    // Need: instant tutor in hand, 3+ artifacts for Tinker, enough mana for tutor + Tinker (U + 2U = 3U or U + 1B)
-    const tutorForTinker = 
-      (handNames.has("Mystical Tutor") || handNames.has("Vampiric Tutor")) &&
-      !handNames.has("Tinker") &&
-      state.battlefield.filter(c => isArtifact(c)).length >= 3 && // Need artifacts to sac for Tinker
-      ((handNames.has("Mystical Tutor") && state.pool.U >= 1 && poolTotal >= 4) || // Mystical (U) + Tinker (2U) = 3U total
-       (handNames.has("Vampiric Tutor") && state.pool.B >= 1 && poolTotal >= 3)); // Vampiric (B) + Tinker (2U) = B + 2U
-
-    // Basic stability: have a land or at least 2 permanent mana sources in play.
-    const permanentMana = state.battlefield.filter((c) => {
-      if (!isArtifact(c) && !isLand(c)) return false;
-      const k = manaPermanentKind(c.name);
-      return (
-        !!k ||
-        isLand(c) ||
-        isOneShotMana(c.name) // lotus/petal are in play even if not cracked yet
-      );
-    }).length;
-
-    // A very simple scoring.
-    let score = 0;
-    if (infiniteTurns || tinkerWin || trinketVaultWin || demonicVaultWin || vaultKeyForceBackup || tezzTimeWalkWin) score += 1000;
-    if (big) score += 200;
-    if (ancestralWithForce) score += 150; // Higher than castSelection
-    if (probeTherapy) score += 130; // Information + disruption combo
-    if (tutorForTinker) score += 120; // Strong setup for next turn win
-    if (castSelection) score += 60;
-    score += Math.min(60, poolTotal * 10);
-    score += Math.min(30, permanentMana * 4);
-
-    const tier = infiniteTurns || tinkerWin || trinketVaultWin || demonicVaultWin || vaultKeyForceBackup || tezzTimeWalkWin ? 3 : big ? 2 : castSelection || poolTotal >= 2 ? 1 : 0;
-
-    return { score, tier, flags: { infiniteTurns, tinkerWin, trinketVaultWin, demonicVaultWin, vaultKeyForceBackup, tezzTimeWalkWin, big, castSelection } };
-  };
-
-  const describePool = (p) => {
-    const parts = [];
-    for (const k of ["W", "U", "B", "R", "G", "C"]) {
-      if (p[k]) parts.push(`${p[k]}${k}`);
-    }
-    if (p.flex) parts.push(`${p.flex}flex`);
-    return parts.length ? parts.join(" ") : "0";
-  };
-
-  const getArtifactsCount = (battlefield) => battlefield.filter((c) => isArtifact(c)).length;
-
-  const untappedManaPermanents = (state) => {
-    const artifactsCount = getArtifactsCount(state.battlefield);
-
-    const sources = [];
-
-    for (const perm of state.battlefield) {
-      if (perm.tapped) continue;
-
-      // Lands
-      if (isLand(perm)) {
-        const kind = getLandKind(perm.name);
-        if (kind === landAbilityKinds.ACADEMY) {
-          // Tolarian Academy taps for U per artifact you control.
-          sources.push({
-            id: perm._id,
-            label: "Tap Tolarian Academy",
-            run: (s) => {
-              const n = getArtifactsCount(s.battlefield);
-              const next = { ...s };
-              next.pool = addPool(next.pool, { U: n });
-              next.battlefield = next.battlefield.map((c) => (c._id === perm._id ? { ...c, tapped: true } : c));
-              next.notes = [...next.notes, `Tap Academy for ${n}U (artifacts: ${n})`];
-              return next;
-            }
-          });
-          continue;
-        }
-
-        if (perm.name === "Starting Town") {
-          // Either {C} or (pay 1 life) any color.
-          sources.push({
-            id: perm._id + ":C",
-            label: "Tap Starting Town for C",
-            run: (s) => {
-              const next = { ...s };
-              next.pool = addPool(next.pool, { C: 1 });
-              next.battlefield = next.battlefield.map((c) => (c._id === perm._id ? { ...c, tapped: true } : c));
-              next.notes = [...next.notes, `Tap Starting Town for C`];
-              return next;
-            }
-          });
-          sources.push({
-            id: perm._id + ":flex",
-            label: "Tap Starting Town (pay 1 life) for any color",
-            run: (s) => {
-              const next = { ...s };
-              next.pool = addPool(next.pool, { flex: 1 });
-              next.battlefield = next.battlefield.map((c) => (c._id === perm._id ? { ...c, tapped: true } : c));
-              next.notes = [...next.notes, `Tap Starting Town for any color (pay 1 life)`];
-              return next;
-            }
-          });
-          continue;
-        }
-
-        // City / Confluence (any color, pay life), or colorless utility land.
-        if (kind === landAbilityKinds.ANY_COLOR_LIFE) {
-          sources.push({
-            id: perm._id,
-            label: `Tap ${perm.name} (pay 1 life) for any color`,
-            run: (s) => {
-              const next = { ...s };
-              next.pool = addPool(next.pool, { flex: 1 });
-              next.battlefield = next.battlefield.map((c) => (c._id === perm._id ? { ...c, tapped: true } : c));
-              next.notes = [...next.notes, `Tap ${perm.name} for any color (pay 1 life)`];
-              return next;
-            }
-          });
-        } else {
-          sources.push({
-            id: perm._id,
-            label: `Tap ${perm.name} for C`,
-            run: (s) => {
-              const next = { ...s };
-              next.pool = addPool(next.pool, { C: 1 });
-              next.battlefield = next.battlefield.map((c) => (c._id === perm._id ? { ...c, tapped: true } : c));
-              next.notes = [...next.notes, `Tap ${perm.name} for C`];
-              return next;
-            }
-          });
-        }
-
-        continue;
-      }
-
-      // One-shot mana in play (lotus/petal) — treat as "crack".
-      if (isOneShotMana(perm.name)) {
-        const n = oneShotYield(perm.name);
-        sources.push({
-          id: perm._id,
-          label: `Sac ${perm.name} for ${n} mana (any colors)`,
-          run: (s) => {
-            const next = { ...s };
-            next.pool = addPool(next.pool, { flex: n });
-            next.battlefield = next.battlefield.filter((c) => c._id !== perm._id);
-            next.notes = [...next.notes, `Sac ${perm.name} for ${n} mana`];
-            return next;
-          }
-        });
-        continue;
-      }
-
-      // Mana artifacts
-      const mk = manaPermanentKind(perm.name);
-      if (!mk) continue;
-
-      if (mk === "mox") {
-        const col = getMoxColor(perm.name);
-        if (!col) continue;
-        sources.push({
-          id: perm._id,
-          label: `Tap ${perm.name} for ${col}`,
-          run: (s) => {
-            const next = { ...s };
-            next.pool = addPool(next.pool, { [col]: 1 });
-            next.battlefield = next.battlefield.map((c) => (c._id === perm._id ? { ...c, tapped: true } : c));
-            next.notes = [...next.notes, `Tap ${perm.name} for ${col}`];
-            return next;
-          }
-        });
-        continue;
-      }
-
-      if (mk === "opal") {
-        // Requires metalcraft (3+ artifacts).
-        if (artifactsCount < 3) continue;
-        sources.push({
-          id: perm._id,
-          label: "Tap Mox Opal for any color (metalcraft)",
-          run: (s) => {
-            const next = { ...s };
-            next.pool = addPool(next.pool, { flex: 1 });
-            next.battlefield = next.battlefield.map((c) => (c._id === perm._id ? { ...c, tapped: true } : c));
-            next.notes = [...next.notes, `Tap Mox Opal for any color (metalcraft)`];
-            return next;
-          }
-        });
-        continue;
-      }
-
-      if (mk === "crypt") {
-        sources.push({
-          id: perm._id,
-          label: "Tap Mana Crypt for CC",
-          run: (s) => {
-            const next = { ...s };
-            next.pool = addPool(next.pool, { C: 2 });
-            next.battlefield = next.battlefield.map((c) => (c._id === perm._id ? { ...c, tapped: true } : c));
-            next.notes = [...next.notes, "Tap Mana Crypt for CC"]; 
-            return next;
-          }
-        });
-        continue;
-      }
-
-      if (mk === "ring") {
-        sources.push({
-          id: perm._id,
-          label: "Tap Sol Ring for CC",
-          run: (s) => {
-            const next = { ...s };
-            next.pool = addPool(next.pool, { C: 2 });
-            next.battlefield = next.battlefield.map((c) => (c._id === perm._id ? { ...c, tapped: true } : c));
-            next.notes = [...next.notes, "Tap Sol Ring for CC"]; 
-            return next;
-          }
-        });
-        continue;
-      }
-
-      if (mk === "vault") {
-        sources.push({
-          id: perm._id,
-          label: "Tap Mana Vault for CCC",
-          run: (s) => {
-            const next = { ...s };
-            next.pool = addPool(next.pool, { C: 3 });
-            next.battlefield = next.battlefield.map((c) => (c._id === perm._id ? { ...c, tapped: true } : c));
-            next.notes = [...next.notes, "Tap Mana Vault for CCC"]; 
-            return next;
-          }
-        });
-        continue;
-      }
-    }
-
-    return sources;
-  };
-
-  const castableCards = (state) => {
-    // Special: Gitaxian Probe can be played for 0 via Phyrexian mana.
-    const forcedFree = new Set(["Gitaxian Probe", "Mental Misstep"]);
-
-    return state.hand
-      .filter((c) => IMPORTANT_CASTS.has(c.name))
-      .filter((c) => {
-        if (parseCmc(c.manaCost) === 0 && isArtifact(c)) return true;
-        if (forcedFree.has(c.name)) return true;
-        return canPay(state.pool, c.manaCost);
-      })
-      .map((c) => ({
-        card: c,
-        label: `Cast ${c.name}`,
-        run: (s) => {
-          const next = { ...s };
-
-          // Handle free-phyrexian cases as "no mana".
-          const spendMana = !forcedFree.has(c.name);
-          if (spendMana && parseCmc(c.manaCost) > 0) {
-            next.pool = pay(next.pool, c.manaCost);
-          }
-
-          // Move to battlefield if permanent; otherwise to "cast" log.
-          next.hand = next.hand.filter((x) => x !== c);
-          next.cast = [...next.cast, c.name];
-
-          if (isLand(c)) {
-            // shouldn't happen here
-            return next;
-          }
-
-          if (isArtifact(c) || (c.typeLine || "").toLowerCase().includes("planeswalker")) {
-            next.battlefield = [...next.battlefield, { ...c, _id: uniqId(), tapped: false, zone: "battlefield" }];
-          }
-
-          next.notes = [...next.notes, `Cast ${c.name}`];
-
-          // Very lightweight "resolved spell" effects:
-          // - Paradoxical Outcome: bounce all artifacts, return them to hand, replay 0-cost ones
-          if (c.name === "Paradoxical Outcome") {
-            const artifactsToBounce = next.battlefield.filter((p) => isArtifact(p));
-            const bouncedCount = artifactsToBounce.length;
-            
-            if (bouncedCount > 0) {
-              // Return artifacts to hand
-              next.battlefield = next.battlefield.filter((p) => !isArtifact(p));
-              next.hand = [...next.hand, ...artifactsToBounce.map(p => ({ name: p.name, typeLine: p.typeLine, manaCost: p.manaCost }))];
-              
-              // Replay 0-cost artifacts immediately
-              const zeroCosters = next.hand.filter((h) => isArtifact(h) && parseCmc(h.manaCost) === 0);
-              if (zeroCosters.length > 0) {
-                next.hand = next.hand.filter((h) => !zeroCosters.includes(h));
-                next.battlefield = [
-                  ...next.battlefield,
-                  ...zeroCosters.map(z => ({ ...z, _id: uniqId(), tapped: false, zone: "battlefield" }))
-                ];
-              }
-              
-              next.notes = [...next.notes, `PO → bounce ${bouncedCount} artifacts, draw ${bouncedCount}, replay ${zeroCosters.length} free artifacts`];
-            }
-          }
-
-          // - Crop Rotation: sacrifice a land to fetch Tolarian Academy (if artifacts in play)
-          if (c.name === "Crop Rotation") {
-            const hasLandToSac = next.battlefield.some((p) => isLand(p));
-            const artifactsCount = next.battlefield.filter((p) => isArtifact(p)).length;
-            
-            if (hasLandToSac && artifactsCount >= 2 && deckIndex.hasInMain("Tolarian Academy")) {
-              // Sacrifice a land (remove first land found)
-              const landToSac = next.battlefield.find((p) => isLand(p));
-              next.battlefield = next.battlefield.filter((p) => p._id !== landToSac._id);
-              
-              // Fetch Tolarian Academy into play untapped
-              next.battlefield = [
-                ...next.battlefield,
-                { name: "Tolarian Academy", typeLine: "Land", _id: uniqId(), tapped: false, zone: "battlefield" }
-              ];
-              
-              next.notes = [...next.notes, `Crop Rotation → sacrifice ${landToSac.name}, fetch Tolarian Academy (${artifactsCount} artifacts)`];
-            }
-          }
-
-          // - If we cast Tinker and deck has Blightsteel in main (and not in hand), mark it.
-          if (c.name === "Tinker") {
-            const hasSacArtifact = next.battlefield.some((p) => isArtifact(p) && p.name !== "Blightsteel Colossus");
-            const blightsteelInHand = next.hand.some((h) => h.name === "Blightsteel Colossus");
-            
-            // Check for Vault+Key combo pieces
-            const hasVaultInHand = next.hand.some((h) => h.name === "Time Vault");
-            const hasKeyInHand = next.hand.some((h) => h.name === "Voltaic Key" || h.name === "Manifold Key");
-            
-            if (hasSacArtifact && deckIndex.hasInMain("Blightsteel Colossus") && !blightsteelInHand) {
-              next.notes = [...next.notes, "Tinker → Blightsteel Colossus (artifact to sacrifice assumed)"];
-            }
-            
-            // Tinker for Time Vault if we have Key in hand + enough mana (1 to activate Key)
-            // Tinker puts Vault into play for free, no need to cast it
-            if (hasSacArtifact && hasKeyInHand && !hasVaultInHand && deckIndex.hasInMain("Time Vault")) {
-              // After Tinker resolves, Vault is in play. Need 1 mana to activate Key.
-              const manaAfterTinker = { ...next.mana };
-              if (canPay(manaAfterTinker, { C: 2 })) {
-                next.notes = [...next.notes, "Tinker → Time Vault (into play), activate Key combo (infinite turns)"];
-              }
-            }
-            
-            // Tinker for Key if we have Vault in hand (need to cast Vault for 2, then activate Key for 1)
-            if (hasSacArtifact && hasVaultInHand && !hasKeyInHand) {
-              const hasVoltaicInDeck = deckIndex.hasInMain("Voltaic Key");
-              const hasManifoldInDeck = deckIndex.hasInMain("Manifold Key");
-              if (hasVoltaicInDeck || hasManifoldInDeck) {
-                // After Tinker, Key is in play. Still need to cast Vault (2) + activate Key (1) = 3 mana
-                const manaAfterTinker = { ...next.mana };
-                if (canPay(manaAfterTinker, { C: 3 })) {
-                  const keyName = hasVoltaicInDeck ? "Voltaic Key" : "Manifold Key";
-                  next.notes = [...next.notes, `Tinker → ${keyName} (into play), cast Vault, activate combo (infinite turns)`];
-                }
-              }
-            }
-          }
-
-          return next;
-        }
-      }));
-  };
-
-  const dfs = (state, depth, seen) => {
-    const key = JSON.stringify({
-      land: state.landName,
-      hand: state.hand.map((c) => c.name).sort(),
-      bf: state.battlefield.map((c) => `${c.name}:${c.tapped ? 1 : 0}`).sort(),
-      pool: state.pool
-    });
-
-    if (seen.has(key)) return;
-    seen.add(key);
-
-    const scored = scoreState(state);
-    if (scored.score > best.score || (scored.score === best.score && scored.tier > best.tier)) {
-      best.score = scored.score;
-      best.tier = scored.tier;
-      best.notes = state.notes;
-      best.final = state;
-    }
-
-    if (depth >= 18) return;
-
-    // Prefer casting before tapping everything (but include both).
-    const actions = [...castableCards(state), ...untappedManaPermanents(state)];
-
-    // Small prune: if nothing left, stop.
-    if (!actions.length) return;
-
-    for (const a of actions) {
-      dfs(a.run(state), depth + 1, seen);
-    }
-  };
-
-  for (const land of landChoices) {
-    // start state
-    const bf = [...battlefieldBase];
-    const handAfterLandPick = nonLandsBase.slice();
-
-    if (land) {
-      // move chosen land to battlefield
-      bf.push({ ...land, _id: uniqId(), tapped: false, zone: "battlefield" });
-    }
-
-    const start = {
-      hand: handAfterLandPick,
-      battlefield: bf,
-      pool: emptyPool(),
-      landName: land?.name || null,
-      cast: [],
-      notes: [
-        `Start (0-cost artifacts played: ${battlefieldBase.map((c) => c.name).join(", ") || "none"})`,
-        land ? `Play land: ${land.name}` : "No land in hand"
-      ]
-    };
-
-    dfs(start, 0, new Set());
-  }
-
-  return {
-    tier: best.tier,
-    bestLine: best.notes,
-    final: best.final
-  };
-};
-
-// Final mulligan advice wrapper: produces reasons + a keep/mull recommendation.
-const analyzeMulligan = ({ hand, deckIndex }) => {
-  const names = hand.map((c) => c.name);
-  const lands = hand.filter(isLand).length;
-  const interaction = hand.filter((c) => INTERACTION.has(c.name)).length;
-  const selection = hand.filter((c) => isSelectionSpell(c.name)).length;
-  const payoff = hand.filter((c) => isPayoff(c.name)).length;
-
-  const sim = simulateTurn1({ hand, deckIndex });
-
-  const reasons = [];
-
-  if (sim.tier === 3) {
-    reasons.push("🏆 Virtual win / hard lock line found (or Tinker→Blightsteel). Keep.");
-  } else if (sim.tier === 2) {
-    reasons.push("✅ Strong T1 line found (payoff/lock/draw engine). Keep.");
-  } else if (sim.tier === 1) {
-    reasons.push("✅ Functional T1 line found (mana + selection / development). Usually keep.");
-  } else {
-    reasons.push("⚠️ No coherent T1 line found in this hand.");
-  }
-
-  // Basic sanity checks.
-  if (lands === 0) reasons.push("⚠️ 0 lands (needs real action from fast mana + selection).");
-  if (lands >= 5) reasons.push(`⚠️ ${lands} lands (flood risk).`);
-  if (selection === 0) reasons.push("⚠️ No card selection/tutors in opener.");
-  if (payoff === 0) reasons.push("⚠️ No payoff/pressure piece in opener (may still be fine if selection is strong).");
-  if (interaction >= 1) reasons.push(`✅ Interaction present (${interaction}).`);
-
-  // Decision.
-  // - Tier 3/2: always keep.
-  // - Tier 1: keep unless it is extremely mana-awkward.
-  // - Tier 0: mull unless you have 2+ lands and interaction (fair keep).
-  let decision = "MULLIGAN";
-  if (sim.tier >= 2) decision = "KEEP";
-  else if (sim.tier === 1) {
-    if (lands >= 1 || selection >= 2) decision = "KEEP";
-  } else {
-    // Tier 0: even with no coherent line, keep if you have lands + interaction + selection
-    // OR if you have 3+ fast mana + payoff + selection (0-land special case)
-    const fastMana = hand.filter((c) => {
-      const cmc = parseCmc(c.manaCost);
-      return isArtifact(c) && (cmc === 0 || cmc === 1) && manaPermanentKind(c.name);
-    }).length;
-    
-    if (lands >= 2 && interaction >= 1 && selection >= 1) decision = "KEEP";
-    else if (fastMana >= 3 && payoff >= 1 && selection >= 1) decision = "KEEP"; // 0-land keep
-  }
-
-  // Expose a short, readable line summary.
-  const lineSummary = (sim.bestLine || []).slice(0, 12);
-
-  return {
-    decision,
-    reasons,
-    line: lineSummary,
-    stats: { lands, interaction, selection, payoff, tier: sim.tier }
-  };
-};
-
 /* ------------------------------- UI pieces ------------------------------- */
 
-const CardCell = ({ slot, stacked = false, compact = false, onClick, onHover }) => {
+const ISSUE_LABELS = { banned: "BANNED", restricted: "RESTRICTED", "too-many": "TOO MANY" };
+
+// issue: { status, message } from validateDeck when this card breaks the Vintage copy limits.
+const CardCell = ({ slot, stacked = false, compact = false, onClick, onHover, issue }) => {
   const isFlex =
     !slot.locked &&
     slot.flexOptions &&
@@ -1119,7 +188,7 @@ const CardCell = ({ slot, stacked = false, compact = false, onClick, onHover })
     typeof onClick === "function";
 
   const cardColor = getCardColor(slot.card.manaCost, slot.card.typeLine);
-  const title = `${slot.card.name} • ${slot.card.typeLine}`;
+  const title = `${slot.card.name} • ${slot.card.typeLine}${issue ? `\n⚠️ ${issue.message}` : ""}`;
 
   const hoverTimer = useRef(null);
   const [hovered, setHovered] = useState(false);
@@ -1149,6 +218,7 @@ const CardCell = ({ slot, stacked = false, compact = false, onClick, onHover })
         compact ? "card-slot--compact" : "",
         isFlex ? "card-slot--flex" : "card-slot--core",
         `card-slot--${cardColor}`,
+        issue ? "card-slot--illegal" : "",
         hovered ? "card-slot--hovered" : ""
       ]
         .filter(Boolean)
@@ -1160,7 +230,10 @@ const CardCell = ({ slot, stacked = false, compact = false, onClick, onHover })
       style={hovered ? { zIndex: 100, transform: "scale(1.15)" } : undefined}
     >
       <div className="card-slot__header">
-        <div className="card-slot__name">{slot.card.name}</div>
+        <div className="card-slot__name">
+          {issue && <span className="card-slot__issue">{ISSUE_LABELS[issue.status]}</span>}
+          {slot.card.name}
+        </div>
         <div className="card-slot__mana">{slot.card.manaCost || "\u00a0"}</div>
       </div>
       <div className="card-slot__type">{slot.card.typeLine}</div>
@@ -1188,6 +261,126 @@ const useIsMobile = () => {
   return isMobile;
 };
 
+// Card name field with autocomplete from the bundled card database. Picking a suggestion (click,
+// or arrows + Enter) hands the whole card to onPick so cost and type get filled in; a name the
+// database doesn't know can still be typed and entered by hand.
+const CardNameInput = ({ value, onChange, onPick, placeholder, required, style }) => {
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+  const suggestions = useMemo(() => (open ? searchCards(value) : []), [open, value]);
+
+  const pick = (card) => {
+    onPick(card);
+    setOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!suggestions.length) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive((i) => (i + step + suggestions.length) % suggestions.length);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      pick(suggestions[active]);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div style={{ position: "relative" }}>
+      <input
+        type="text"
+        placeholder={placeholder}
+        value={value}
+        required={required}
+        autoComplete="off"
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+          setActive(0);
+        }}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setOpen(false)}
+        style={{ ...style, width: "100%", boxSizing: "border-box" }}
+      />
+      {suggestions.length > 0 && (
+        <div
+          style={{
+            position: "absolute",
+            top: "100%",
+            left: 0,
+            right: 0,
+            zIndex: 10,
+            marginTop: 2,
+            background: "#fff",
+            border: "1px solid #e5e7eb",
+            borderRadius: 6,
+            boxShadow: "0 4px 12px rgba(0,0,0,0.12)",
+            maxHeight: 260,
+            overflowY: "auto"
+          }}
+        >
+          {suggestions.map((card, i) => (
+            <div
+              key={card.name}
+              // mousedown, not click: the input's blur would close the list first.
+              onMouseDown={(e) => {
+                e.preventDefault();
+                pick(card);
+              }}
+              onMouseEnter={() => setActive(i)}
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                gap: 8,
+                padding: "6px 8px",
+                fontSize: "0.85rem",
+                cursor: "pointer",
+                background: i === active ? "#eef2ff" : "transparent"
+              }}
+            >
+              <span>{card.name}</span>
+              <span className="muted" style={{ fontSize: "0.75rem", whiteSpace: "nowrap" }}>
+                {card.manaCost} {card.typeLine}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Oracle text and Vintage legality for the name in an add-card form, or a note that the card has
+// to be entered by hand.
+const CardOracle = ({ name }) => {
+  if (!name.trim()) return null;
+  const details = cardDetails(name);
+  if (!details) {
+    return (
+      <div className="muted" style={{ fontSize: "0.8rem" }}>
+        Not in the card database — enter the mana cost and type line by hand.
+      </div>
+    );
+  }
+
+  const legality = cardLegality(details);
+  return (
+    <div style={{ fontSize: "0.8rem", lineHeight: 1.45, padding: 8, background: "#f9fafb", border: "1px solid #e5e7eb", borderRadius: 6 }}>
+      <div style={{ fontWeight: 600 }}>
+        {details.name} {details.manaCost}
+        {legality !== "legal" && (
+          <span style={{ marginLeft: 6, color: "#856404", fontWeight: 700 }}>({legality} in Vintage)</span>
+        )}
+      </div>
+      <div className="muted">{details.typeLine}</div>
+      {details.oracleText && <div style={{ whiteSpace: "pre-line", marginTop: 4 }}>{details.oracleText}</div>}
+    </div>
+  );
+};
+
 const FlexModal = ({ selectedFlex, mainConfig, sideConfig, onClose, onChoose, onAddCard }) => {
   const isMobile = useIsMobile();
   if (!selectedFlex) return null;
@@ -1397,11 +590,15 @@ const FlexModal = ({ selectedFlex, mainConfig, sideConfig, onClose, onChoose, on
         <div style={{ marginBottom: 12, paddingTop: 12, borderTop: "1px solid #e5e7eb" }}>
           <p style={{ margin: "0 0 8px 0", fontSize: "0.85rem", fontWeight: 600 }}>Add card</p>
           <div style={{ display: "flex", flexDirection: "column", gap: 6, marginBottom: 8 }}>
-            <input
-              type="text"
-              placeholder="Card name"
+            <CardNameInput
+              placeholder="Card name (start typing to search)"
               value={newCardName}
-              onChange={(e) => setNewCardName(e.target.value)}
+              onChange={setNewCardName}
+              onPick={(picked) => {
+                setNewCardName(picked.name);
+                setNewCardCost(picked.manaCost);
+                setNewCardType(picked.typeLine);
+              }}
               style={{ padding: "6px 8px", borderRadius: 4, border: "1px solid #e5e7eb", fontSize: "0.85rem" }}
             />
             <div style={{ display: "flex", gap: 6 }}>
@@ -1420,6 +617,7 @@ const FlexModal = ({ selectedFlex, mainConfig, sideConfig, onClose, onChoose, on
                 style={{ flex: 1, padding: "6px 8px", borderRadius: 4, border: "1px solid #e5e7eb" }}
               />
             </div>
+            <CardOracle name={newCardName} />
           </div>
           <button
             onClick={handleAddCard}
@@ -1449,77 +647,1203 @@ const FlexModal = ({ selectedFlex, mainConfig, sideConfig, onClose, onChoose, on
   );
 };
 
-/* ---------------------------------- App --------------------------------- */
-
-export default function App() {
-  const deckIndex = useMemo(() => buildDeckIndex(deckData), []);
-  const isMobile = useIsMobile();
+const FORMAT_LABELS = { dek: "MTGO .dek", arena: "Arena", json: "JSON", text: "text" };
 
-  // Assign flexOptions dynamically based on card type
-  const assignFlexOptions = (mainboard) =>
-    mainboard.map((entry) => {
-      if (entry.locked) return entry;
-      return {
-        ...entry,
-        flexOptions: isLand(entry.card) ? landFlexOptions : spellFlexOptions
-      };
-    });
+const ImportModal = ({ onClose, onImport }) => {
+  const [text, setText] = useState("");
+  const [deckName, setDeckName] = useState("");
 
-  const assignSideboardFlexOptions = (sideboard) =>
-    sideboard.map((entry) => ({ ...entry, flexOptions: sideboardFlexOptions }));
+  // JSON exports throw on malformed input; show the message instead of a preview.
+  const [parsed, parseError] = useMemo(() => {
+    if (!text.trim()) return [null, null];
+    try {
+      return [parseDeckList(text), null];
+    } catch (err) {
+      return [null, err.message];
+    }
+  }, [text]);
+  const count = (entries) => entries.reduce((sum, e) => sum + e.count, 0);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setText(await file.text());
+    if (!deckName) setDeckName(file.name.replace(/\.[^.]+$/, ""));
+  };
 
-  const [showExportMenu, setShowExportMenu] = useState(false);
-  const [mainConfig, setMainConfig] = useState(assignFlexOptions(deckData.mainboard));
-  const [sideConfig, setSideConfig] = useState(assignSideboardFlexOptions(deckData.sideboard));
+  const handleImport = () => {
+    if (!parsed?.mainboard.length) return;
+    onImport({
+      deckName: deckName.trim() || parsed.deckName || "Imported deck",
+      format: "Vintage",
+      ...(parsed.flexPools ? { flexPools: parsed.flexPools } : {}),
+      ...(parsed.sideboardPlans ? { sideboardPlans: parsed.sideboardPlans } : {}),
+      ...(parsed.scoringProfile ? { scoringProfile: parsed.scoringProfile } : {}),
+      mainboard: parsed.mainboard,
+      sideboard: parsed.sideboard
+    });
+  };
 
-  const [selectedFlex, setSelectedFlex] = useState(null);
-  const [sampleHand, setSampleHand] = useState([]);
-  const [hoveredCard, setHoveredCard] = useState(null);
+  return (
+    <div className="flex-modal-backdrop" onClick={onClose}>
+      <div className="flex-modal" onClick={(e) => e.stopPropagation()} style={{ maxWidth: 560, width: "95vw" }}>
+        <h3>Import Deck</h3>
+        <p className="muted" style={{ marginBottom: 12 }}>
+          Paste a text list ("4 Card Name"), an MTGO .dek file, an Arena export or a JSON export from this app.
+        </p>
 
-  const [showAddCardModal, setShowAddCardModal] = useState(false);
-  const [addCardBtnText, setAddCardBtnText] = useState("+1 Card to 61");
-  const [newCardInput, setNewCardInput] = useState({ name: "", manaCost: "", typeLine: "" });
+        <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+          <input
+            type="text"
+            placeholder="Deck name"
+            value={deckName}
+            onChange={(e) => setDeckName(e.target.value)}
+            style={{ padding: 8, borderRadius: 6, border: "1px solid #e5e7eb", fontSize: "0.9rem" }}
+          />
+
+          <input type="file" accept=".txt,.dek,.xml,.json,text/plain,application/json" onChange={handleFile} style={{ fontSize: "0.85rem" }} />
+
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder={"4 Force of Will\n1 Black Lotus\n...\n\nSideboard\n2 Abrupt Decay"}
+            rows={12}
+            style={{
+              padding: 8,
+              borderRadius: 6,
+              border: "1px solid #e5e7eb",
+              fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace",
+              fontSize: "0.82rem"
+            }}
+          />
+        </div>
 
-  const [mulliganAdvice, setMulliganAdvice] = useState(null);
-  const [showHandModal, setShowHandModal] = useState(false);
+        {parseError && <div style={{ marginTop: 10, fontSize: "0.9rem", color: "#721c24" }}>⚠️ {parseError}</div>}
 
-  const mainColumns = useMemo(() => buildCmcColumns(mainConfig), [mainConfig]);
-  const mobileMainList = useMemo(() => buildMobileList(mainConfig, "main"), [mainConfig]);
-  const mobileSideList = useMemo(() => buildMobileList(sideConfig, "side"), [sideConfig]);
+        {parsed && (
+          <div style={{ marginTop: 10, fontSize: "0.9rem", lineHeight: 1.6 }}>
+            <div>
+              Detected {FORMAT_LABELS[parsed.format] || "text"} list •
+              Mainboard {count(parsed.mainboard)} • Sideboard {count(parsed.sideboard)}
+            </div>
+            {parsed.unresolved.length > 0 && (
+              <div style={{ marginTop: 6, color: "#721c24" }}>
+                ⚠️ Not in the card database (imported without cost/type): {parsed.unresolved.join(", ")}
+              </div>
+            )}
+          </div>
+        )}
 
-  const mainboardCount = useMemo(() => mainConfig.reduce((sum, e) => sum + (e.count || 1), 0), [mainConfig]);
+        <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+          <button
+            className="btn"
+            onClick={handleImport}
+            disabled={!parsed?.mainboard.length}
+            style={{ flex: 1, background: "#22c55e", color: "#fff" }}
+          >
+            Import
+          </button>
+          <button className="btn btn--ghost" onClick={onClose} style={{ flex: 1 }}>
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
 
-  const sideSlots = useMemo(() => {
-    const slots = expandSlots(sideConfig, "side");
-    return slots.slice().sort((a, b) => {
-      const aLand = isLand(a.card);
-      const bLand = isLand(b.card);
-      const aCmc = aLand ? -1 : parseCmc(a.card.manaCost);
-      const bCmc = bLand ? -1 : parseCmc(b.card.manaCost);
-      if (aCmc !== bCmc) return aCmc - bCmc;
-      return a.card.name.localeCompare(b.card.name);
-    });
-  }, [sideConfig]);
+const SnapshotsModal = ({ snapshots, onSave, onLoad, onDelete, onReset, onCompare, onClose }) => {
+  const [name, setName] = useState("");
+  const count = (config) => config.reduce((sum, e) => sum + (e.count || 1), 0);
 
-  const handleCardClick = (zone, entryIndex) => {
-    const config = zone === "main" ? mainConfig : sideConfig;
-    const entry = config[entryIndex];
-    if (!entry) return;
-    if (entry.locked) return;
-    if (!entry.flexOptions || entry.flexOptions.length === 0) return;
-    setSelectedFlex({ zone, entryIndex });
+  const handleSave = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    if (snapshots.some((s) => s.name === trimmed) && !window.confirm(`Overwrite snapshot "${trimmed}"?`)) return;
+    onSave(trimmed);
+    setName("");
   };
 
-  const applyFlexChoice = (optionIndex) => {
-    if (!selectedFlex) return;
-    const { zone, entryIndex } = selectedFlex;
+  return (
+    <div className="flex-modal-backdrop" onClick={onClose}>
+      <div className="flex-modal" onClick={(e) => e.stopPropagation()} style={{ maxWidth: 480, width: "95vw" }}>
+        <h3>Snapshots</h3>
+        <p className="muted" style={{ marginBottom: 12 }}>
+          Edits are saved in this browser automatically. Save named copies of the current 60 + 15 to switch between
+          configurations.
+        </p>
 
-    if (zone === "main") {
-      const entry = mainConfig[entryIndex];
-      if (!entry) return;
-      const options = entry.flexOptions || [];
-      const chosenCard = optionIndex === -1 ? entry.card : options[optionIndex];
-      if (!chosenCard) return;
+        <form onSubmit={handleSave} style={{ display: "flex", gap: 8 }}>
+          <input
+            type="text"
+            placeholder='Snapshot name (e.g. "vs Shops")'
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            style={{ flex: 1, padding: 8, borderRadius: 6, border: "1px solid #e5e7eb", fontSize: "0.9rem" }}
+          />
+          <button type="submit" className="btn" disabled={!name.trim()}>
+            Save current
+          </button>
+        </form>
+
+        <div style={{ marginTop: 12, maxHeight: 300, overflowY: "auto" }}>
+          {snapshots.length === 0 && <p className="muted">No snapshots yet.</p>}
+          {snapshots.map((snapshot) => (
+            <div
+              key={snapshot.name}
+              style={{ display: "flex", alignItems: "center", gap: 8, padding: "8px 0", borderBottom: "1px solid #e5e7eb" }}
+            >
+              <div style={{ flex: 1, fontSize: "0.9rem" }}>
+                <div style={{ fontWeight: 600 }}>{snapshot.name}</div>
+                <div className="muted" style={{ fontSize: "0.8rem" }}>
+                  {count(snapshot.mainConfig)} / {count(snapshot.sideConfig)} •{" "}
+                  {new Date(snapshot.savedAt).toLocaleString()}
+                </div>
+              </div>
+              <button className="btn" onClick={() => onLoad(snapshot)} style={{ padding: "6px 12px", fontSize: "0.8rem" }}>
+                Load
+              </button>
+              <button
+                className="btn btn--ghost"
+                onClick={() => onDelete(snapshot.name)}
+                style={{ padding: "6px 12px", fontSize: "0.8rem" }}
+              >
+                Delete
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+          <button className="btn" onClick={onCompare} style={{ flex: 1 }}>
+            Compare…
+          </button>
+          <button className="btn" onClick={onReset} style={{ flex: 1, background: "#dc2626", color: "#fff" }}>
+            Reset to deck file
+          </button>
+          <button className="btn btn--ghost" onClick={onClose} style={{ flex: 1 }}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// "+1.5" / "−0.3" / "±0" for the compare view's delta column.
+const signedDelta = (n, digits = 0) => {
+  const rounded = Number(n.toFixed(digits));
+  if (rounded === 0) return "±0";
+  return rounded > 0 ? `+${rounded.toFixed(digits)}` : `−${(-rounded).toFixed(digits)}`;
+};
+
+const COMPARE_FLAGS = [...WIN_FLAGS, "big"];
+
+// Two configurations side by side: card diff, stats, and keep rate / win-line frequency over the
+// same seeded shuffles. `configs` are [{ id, name, mainConfig, sideConfig }] (working list, deck
+// file, snapshots), picked by id since a snapshot may share a name with the others; the simulation
+// uses the current opponent and scoring profile.
+const CompareModal = ({ configs, opponent, profile, onClose }) => {
+  const [idA, setIdA] = useState(configs[1]?.id || configs[0].id);
+  const [idB, setIdB] = useState(configs[0].id);
+  const [hands, setHands] = useState(1000);
+  const [seed, setSeed] = useState(1);
+  const [run, setRun] = useState(null);
+  const worker = useRef(null);
+
+  useEffect(() => () => worker.current?.terminate(), []);
+
+  const a = configs.find((c) => c.id === idA) || configs[0];
+  const b = configs.find((c) => c.id === idB) || configs[0];
+  const diff = useMemo(() => diffConfigs(a, b), [a, b]);
+  const statRows = useMemo(() => compareStats(a, b), [a, b]);
+
+  // Keep rate for A, then B, from one worker; each side streams its own progress.
+  const runCompare = () => {
+    const count = Math.max(1, Math.min(100000, parseInt(hands, 10) || 0));
+    const startSeed = parseInt(seed, 10) || 0;
+
+    worker.current?.terminate();
+    const w = new Worker(new URL("./simulation-worker.js", import.meta.url), { type: "module" });
+    worker.current = w;
+    setRun({ count, running: true, a: null, b: null });
+
+    const post = (side) =>
+      w.postMessage({ kind: "keepRate", mainConfig: (side === "a" ? a : b).mainConfig, count, opponent, profile, seed: startSeed });
+    let side = "a";
+    w.onmessage = (e) => {
+      const { type, report } = e.data;
+      setRun((prev) => ({ ...prev, [side]: report }));
+      if (type !== "done") return;
+      if (side === "a") {
+        side = "b";
+        post(side);
+      } else {
+        w.terminate();
+        if (worker.current === w) worker.current = null;
+        setRun((prev) => ({ ...prev, running: false }));
+      }
+    };
+    w.onerror = () => {
+      w.terminate();
+      if (worker.current === w) worker.current = null;
+      setRun((prev) => ({ ...prev, running: false, error: "Simulation failed — see console." }));
+    };
+    post(side);
+  };
+
+  const rate = (report, n) => (report?.hands ? (100 * n) / report.hands : null);
+  const simRows = [
+    ["KEEP 7", (r) => r.keeps],
+    ["Kept 6", (r) => r.keptAt[6] || 0],
+    ["Kept 5", (r) => r.keptAt[5] || 0],
+    ...COMPARE_FLAGS.map((flag) => [WIN_FLAG_LABELS[flag] || flag, (r) => r.flags[flag] || 0])
+  ];
+
+  const selectStyle = { padding: "4px 6px", borderRadius: 4, border: "1px solid #e5e7eb", fontSize: "0.85rem" };
+  const cell = { padding: "2px 12px 2px 0", textAlign: "right" };
+  const headCell = { ...cell, fontSize: "0.75rem", fontWeight: 600 };
+  const changes = (rows) =>
+    rows.length === 0 ? (
+      <span className="muted">no changes</span>
+    ) : (
+      rows.map((r) => (
+        <div key={r.name}>
+          {r.to > r.from ? "+" : "−"}
+          {Math.abs(r.to - r.from)} {r.name}
+        </div>
+      ))
+    );
+
+  return (
+    <div className="flex-modal-backdrop" onClick={onClose}>
+      <div
+        className="flex-modal"
+        onClick={(e) => e.stopPropagation()}
+        style={{ maxWidth: 760, width: "95vw", maxHeight: "90vh", overflowY: "auto" }}
+      >
+        <h3>Compare configurations</h3>
+        <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", fontSize: "0.9rem" }}>
+          <select value={idA} onChange={(e) => setIdA(e.target.value)} style={selectStyle}>
+            {configs.map((c) => (
+              <option key={c.id} value={c.id}>
+                {c.name}
+              </option>
+            ))}
+          </select>
+          →
+          <select value={idB} onChange={(e) => setIdB(e.target.value)} style={selectStyle}>
+            {configs.map((c) => (
+              <option key={c.id} value={c.id}>
+                {c.name}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div style={{ display: "flex", gap: 32, flexWrap: "wrap", marginTop: 12, fontSize: "0.85rem" }}>
+          <div>
+            <div style={{ fontWeight: 700, marginBottom: 4 }}>Mainboard</div>
+            {changes(diff.main)}
+          </div>
+          <div>
+            <div style={{ fontWeight: 700, marginBottom: 4 }}>Sideboard</div>
+            {changes(diff.side)}
+          </div>
+        </div>
+
+        <div style={{ display: "flex", gap: 32, flexWrap: "wrap", marginTop: 16, fontSize: "0.85rem" }}>
+          <table style={{ borderCollapse: "collapse" }}>
+            <thead>
+              <tr className="muted">
+                <th />
+                <th style={headCell}>A</th>
+                <th style={headCell}>B</th>
+                <th style={headCell}>Δ</th>
+              </tr>
+            </thead>
+            <tbody>
+              {statRows.map(([label, va, vb]) => (
+                <tr key={label} style={va === vb ? { color: "#9ca3af" } : undefined}>
+                  <td style={{ paddingRight: 12 }}>{label}</td>
+                  <td style={cell}>{va}</td>
+                  <td style={cell}>{vb}</td>
+                  <td style={{ ...cell, fontWeight: 600 }}>{signedDelta(vb - va, label === "Average MV" ? 2 : 0)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div style={{ flex: 1, minWidth: 280 }}>
+            <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+              <input
+                type="number"
+                min={1}
+                max={100000}
+                step={100}
+                value={hands}
+                onChange={(e) => setHands(e.target.value)}
+                style={{ width: 80, padding: "4px 6px", borderRadius: 4, border: "1px solid #e5e7eb" }}
+              />
+              hands, seed
+              <input
+                type="number"
+                value={seed}
+                onChange={(e) => setSeed(e.target.value)}
+                style={{ width: 70, padding: "4px 6px", borderRadius: 4, border: "1px solid #e5e7eb" }}
+              />
+              <button className="btn" onClick={runCompare} disabled={run?.running} style={{ padding: "6px 12px", fontSize: "0.8rem" }}>
+                Run keep rate
+              </button>
+            </div>
+            <div className="muted" style={{ fontSize: "0.8rem", marginTop: 4 }}>
+              Both lists are dealt the same seeded shuffles{versus(opponent)}.
+            </div>
+
+            {run?.error && <div style={{ color: "#721c24", marginTop: 8 }}>{run.error}</div>}
+            {run && (
+              <table style={{ borderCollapse: "collapse", marginTop: 8 }}>
+                <thead>
+                  <tr className="muted">
+                    <th />
+                    <th style={headCell}>A</th>
+                    <th style={headCell}>B</th>
+                    <th style={headCell}>Δ pts</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {simRows.map(([label, value]) => {
+                    const ra = run.a && rate(run.a, value(run.a));
+                    const rb = run.b && rate(run.b, value(run.b));
+                    return (
+                      <tr key={label}>
+                        <td style={{ paddingRight: 12 }}>{label}</td>
+                        <td style={cell}>{ra === null || !run.a ? "—" : `${ra.toFixed(1)}%`}</td>
+                        <td style={cell}>{rb === null || !run.b ? "—" : `${rb.toFixed(1)}%`}</td>
+                        <td style={{ ...cell, fontWeight: 600 }}>
+                          {run.a && run.b && !run.running ? signedDelta(rb - ra, 1) : ""}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+            {run?.running && (
+              <div className="muted" style={{ marginTop: 4 }}>
+                {run.b ? `B: ${run.b.hands}` : `A: ${run.a ? run.a.hands : 0}`} / {run.count} hands…
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div style={{ display: "flex", justifyContent: "flex-end", marginTop: 16 }}>
+          <button className="btn btn--ghost" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Card name -> copies, for the plan editor's in/out steppers.
+const countByName = (config) => {
+  const counts = new Map();
+  for (const e of config) counts.set(e.card.name, (counts.get(e.card.name) || 0) + (e.count || 1));
+  return Array.from(counts.entries()).sort((a, b) => a[0].localeCompare(b[0]));
+};
+
+// Bar colors per mana color, matching the card-slot borders in VintageDeckGrid.css.
+const STAT_SWATCHES = { W: "#fde68a", U: "#60a5fa", B: "#4b5563", R: "#fca5a5", G: "#86efac", C: "#a0826d" };
+
+// Curve, pips vs. sources per color, artifacts and role counts for the current mainboard.
+const DeckStatsPanel = ({ stats }) => {
+  const tallest = Math.max(1, ...stats.curve.map((b) => b.count));
+  const mostPerColor = Math.max(1, ...STAT_COLORS.map((c) => Math.max(stats.pips[c], stats.sources[c])));
+  const heading = { margin: "0 0 8px", fontSize: "0.95rem" };
+
+  const colorBar = (value, color) => (
+    <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+      <div style={{ width: `${(value / mostPerColor) * 100}px`, height: 10, borderRadius: 3, background: STAT_SWATCHES[color] }} />
+      <span>{value}</span>
+    </div>
+  );
+
+  return (
+    <div style={{ display: "flex", gap: 32, flexWrap: "wrap", fontSize: "0.85rem" }}>
+      <div style={{ minWidth: 240 }}>
+        <h3 style={heading}>Mana curve</h3>
+        <div style={{ display: "flex", alignItems: "flex-end", gap: 6 }}>
+          {stats.curve.map((b) => (
+            <div key={b.label} style={{ flex: 1, textAlign: "center" }}>
+              <div>{b.count || "\u00a0"}</div>
+              <div style={{ height: (b.count / tallest) * 90, background: "#60a5fa", borderRadius: "4px 4px 0 0" }} />
+              <div className="muted" style={{ fontSize: "0.75rem", borderTop: "1px solid #e5e7eb" }}>
+                {b.label}
+              </div>
+            </div>
+          ))}
+        </div>
+        <div className="muted" style={{ fontSize: "0.8rem", marginTop: 6 }}>
+          {stats.spells} spells · {stats.lands} lands · average MV {stats.averageMv.toFixed(2)}
+        </div>
+      </div>
+
+      <div>
+        <h3 style={heading}>Colors</h3>
+        <table style={{ borderCollapse: "collapse" }}>
+          <thead>
+            <tr className="muted" style={{ fontSize: "0.75rem", textAlign: "left" }}>
+              <th />
+              <th style={{ padding: "0 12px 4px 0" }}>Pips</th>
+              <th style={{ padding: "0 0 4px" }}>Sources</th>
+            </tr>
+          </thead>
+          <tbody>
+            {STAT_COLORS.map((c) => (
+              <tr key={c}>
+                <td style={{ fontWeight: 700, paddingRight: 8 }}>{c}</td>
+                <td style={{ padding: "2px 12px 2px 0" }}>{colorBar(stats.pips[c], c)}</td>
+                <td style={{ padding: "2px 0" }}>{colorBar(stats.sources[c], c)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="muted" style={{ fontSize: "0.8rem", marginTop: 6 }}>
+          {stats.manaSources} mana sources ({stats.sources.C} make {"{C}"})
+        </div>
+      </div>
+
+      <div>
+        <h3 style={heading}>Artifacts &amp; roles</h3>
+        <div title="Tinker targets, Tolarian Academy, Mox Opal metalcraft">
+          <strong>{stats.artifacts}</strong> artifacts
+        </div>
+        {STAT_ROLES.map((role) => (
+          <div key={role.key} title={stats.roles[role.key].names.join(", ")}>
+            <strong>{stats.roles[role.key].count}</strong> {role.label.toLowerCase()}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const ODDS_MAX_TURN = 6;
+
+const percent = (p) => `${(p * 100).toFixed(1)}%`;
+
+// Exact odds of at least one card from every group by each turn, on the play and on the draw.
+// A group is an engine role tag ({ role, added, removed }: whatever in the current mainboard has
+// the tag, so flex swaps move in and out of it, plus/minus hand edits) or cards picked by hand.
+const DrawOddsPanel = ({ mainConfig }) => {
+  const deckNames = useMemo(
+    () => [...new Set(mainConfig.map((e) => e.card.name))].sort((a, b) => a.localeCompare(b)),
+    [mainConfig]
+  );
+
+  const [groups, setGroups] = useState([{ role: "payoff", added: [], removed: [] }]);
+  const [mulligans, setMulligans] = useState(0);
+  const [lastTurn, setLastTurn] = useState(3);
+
+  const roleOf = (group) => STAT_ROLES.find((r) => r.key === group.role);
+  const labelOf = (group, i) => (group.role ? roleOf(group).label : `Group ${i + 1}`);
+  const namesOf = (group) =>
+    group.role
+      ? [...new Set([...deckNames.filter((name) => roleOf(group).test(name)), ...group.added])].filter(
+          (name) => !group.removed.includes(name)
+        )
+      : group.names;
+
+  const addName = (i, name) =>
+    setGroups((prev) =>
+      prev.map((g, j) => {
+        if (j !== i) return g;
+        if (!g.role) return { ...g, names: [...g.names, name] };
+        return { ...g, added: [...g.added, name], removed: g.removed.filter((n) => n !== name) };
+      })
+    );
+  const removeName = (i, name) =>
+    setGroups((prev) =>
+      prev.map((g, j) => {
+        if (j !== i) return g;
+        if (!g.role) return { ...g, names: g.names.filter((n) => n !== name) };
+        return { ...g, added: g.added.filter((n) => n !== name), removed: [...g.removed, name] };
+      })
+    );
+
+  const nameGroups = groups.map(namesOf);
+  const chance = (turn, onPlay) => groupHitChance({ mainConfig, groups: nameGroups, turn, onPlay, mulligans });
+
+  const selectStyle = { padding: "4px 6px", borderRadius: 4, border: "1px solid #e5e7eb", fontSize: "0.85rem" };
+  const smallButton = { padding: "4px 10px", fontSize: "0.8rem" };
+
+  return (
+    <div style={{ fontSize: "0.85rem" }}>
+      {groups.map((group, i) => (
+        <div key={i} style={{ marginBottom: 8 }}>
+          {i > 0 && <div className="muted" style={{ fontSize: "0.75rem", margin: "4px 0" }}>and</div>}
+          <div style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap" }}>
+            <strong>{labelOf(group, i)}:</strong>
+            {nameGroups[i].length === 0 && <span className="muted">no cards yet</span>}
+            {nameGroups[i].map((name) => (
+              <span
+                key={name}
+                style={{ padding: "2px 8px", borderRadius: 999, background: "#eef2ff", border: "1px solid #c7d2fe" }}
+              >
+                {name}{" "}
+                <button
+                  onClick={() => removeName(i, name)}
+                  style={{ border: "none", background: "none", cursor: "pointer", padding: 0, color: "#6b7280" }}
+                  aria-label={`Remove ${name}`}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+            <select
+              value=""
+              onChange={(e) => e.target.value && addName(i, e.target.value)}
+              style={selectStyle}
+            >
+              <option value="">+ card…</option>
+              {deckNames
+                .filter((name) => !nameGroups[i].includes(name))
+                .map((name) => (
+                  <option key={name} value={name}>
+                    {name}
+                  </option>
+                ))}
+            </select>
+            <button className="btn btn--ghost" onClick={() => setGroups((prev) => prev.filter((_, j) => j !== i))} style={smallButton}>
+              Remove
+            </button>
+          </div>
+        </div>
+      ))}
+
+      <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", margin: "8px 0 12px" }}>
+        <select
+          value=""
+          disabled={groups.length >= MAX_GROUPS}
+          onChange={(e) => {
+            if (e.target.value) setGroups((prev) => [...prev, { role: e.target.value, added: [], removed: [] }]);
+          }}
+          style={selectStyle}
+        >
+          <option value="">+ Group from tag…</option>
+          {STAT_ROLES.map((role) => (
+            <option key={role.key} value={role.key}>
+              {role.label}
+            </option>
+          ))}
+        </select>
+        <button
+          className="btn btn--ghost"
+          disabled={groups.length >= MAX_GROUPS}
+          onClick={() => setGroups((prev) => [...prev, { names: [] }])}
+          style={smallButton}
+        >
+          + Custom group
+        </button>
+        <select value={mulligans} onChange={(e) => setMulligans(Number(e.target.value))} style={selectStyle}>
+          {Array.from({ length: MAX_MULLIGANS + 1 }, (_, n) => (
+            <option key={n} value={n}>
+              {n === 0 ? "No mulligans" : `Mulligan to ${7 - n} for it`}
+            </option>
+          ))}
+        </select>
+        <label>
+          through turn{" "}
+          <select value={lastTurn} onChange={(e) => setLastTurn(Number(e.target.value))} style={selectStyle}>
+            {Array.from({ length: ODDS_MAX_TURN }, (_, n) => (
+              <option key={n + 1} value={n + 1}>
+                {n + 1}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {groups.length === 0 ? (
+        <p className="muted">Add a group to see the odds.</p>
+      ) : (
+        <table style={{ borderCollapse: "collapse" }}>
+          <thead>
+            <tr className="muted" style={{ fontSize: "0.75rem", textAlign: "left" }}>
+              <th style={{ padding: "0 16px 4px 0" }}>At least one of each by</th>
+              <th style={{ padding: "0 16px 4px 0" }}>On the play</th>
+              <th style={{ padding: "0 0 4px" }}>On the draw</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Array.from({ length: lastTurn + 1 }, (_, turn) => (
+              <tr key={turn}>
+                <td style={{ padding: "2px 16px 2px 0" }}>{turn === 0 ? "Opening hand" : `Turn ${turn}`}</td>
+                <td style={{ padding: "2px 16px 2px 0", fontWeight: 600 }}>{percent(chance(turn, true))}</td>
+                <td style={{ padding: "2px 0", fontWeight: 600 }}>{percent(chance(turn, false))}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+// Weights and keep thresholds for the mulligan engine. Every change is applied right away; the
+// JSON box takes a profile in the same format deck files use for `scoringProfile`.
+const ScoringPanel = ({ profile, overrides, onChange, onReset }) => {
+  const overridesJson = JSON.stringify(overrides, null, 2);
+  const [jsonText, setJsonText] = useState(overridesJson);
+  const [jsonError, setJsonError] = useState(null);
+
+  useEffect(() => setJsonText(overridesJson), [overridesJson]);
+
+  const setValue = (section, key, raw) => {
+    const value = parseFloat(raw);
+    if (!Number.isFinite(value)) return;
+    onChange({ ...profile, [section]: { ...profile[section], [key]: value } });
+  };
+
+  const applyJson = () => {
+    try {
+      onChange(resolveScoringProfile(JSON.parse(jsonText)));
+      setJsonError(null);
+    } catch (err) {
+      setJsonError(`Invalid profile JSON: ${err.message}`);
+    }
+  };
+
+  const column = (section, title) => (
+    <div style={{ flex: 1, minWidth: 260 }}>
+      <div style={{ fontWeight: 600, fontSize: "0.85rem", marginBottom: 6 }}>{title}</div>
+      {Object.entries(SCORING_FIELDS[section]).map(([key, label]) => (
+        <label
+          key={key}
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: 8,
+            fontSize: "0.8rem",
+            padding: "2px 0",
+            fontWeight: overrides[section]?.[key] !== undefined ? 700 : 400
+          }}
+        >
+          <span style={{ flex: 1 }}>{label}</span>
+          <input
+            type="number"
+            step={section === "keep" && key === "counteredBigPlay" ? 0.05 : 1}
+            value={profile[section][key]}
+            onChange={(e) => setValue(section, key, e.target.value)}
+            style={{ width: 70, padding: "2px 4px", borderRadius: 4, border: "1px solid #e5e7eb" }}
+          />
+        </label>
+      ))}
+    </div>
+  );
+
+  return (
+    <div style={{ marginTop: "1rem", padding: "1rem", background: "#f9fafb", border: "1px solid #e5e7eb", borderRadius: 8 }}>
+      <p className="muted" style={{ marginTop: 0 }}>
+        How the engine scores a line and when it keeps a hand, for this deck. Changed values are bold; the sample hand
+        re-runs as you edit, simulations use the profile from the next run.
+      </p>
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
+        {column("weights", "Line score weights")}
+        {column("keep", "Keep thresholds")}
+      </div>
+
+      <div style={{ fontWeight: 600, fontSize: "0.85rem", margin: "12px 0 6px" }}>Profile JSON (changes from the defaults)</div>
+      <textarea
+        value={jsonText}
+        onChange={(e) => setJsonText(e.target.value)}
+        rows={5}
+        style={{
+          width: "100%",
+          boxSizing: "border-box",
+          fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace",
+          fontSize: "0.8rem",
+          padding: 8,
+          borderRadius: 6,
+          border: "1px solid #e5e7eb"
+        }}
+      />
+      {jsonError && <div style={{ color: "#721c24", fontSize: "0.85rem" }}>⚠️ {jsonError}</div>}
+      <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+        <button className="btn" onClick={applyJson} disabled={jsonText === overridesJson}>
+          Apply JSON
+        </button>
+        <button className="btn btn--ghost" onClick={onReset}>
+          Reset to deck defaults
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const PlanStepper = ({ title, cards, counts, onChange }) => (
+  <div style={{ flex: 1, minWidth: 0 }}>
+    <div style={{ fontWeight: 600, fontSize: "0.85rem", marginBottom: 6 }}>
+      {title} ({planSize(counts)})
+    </div>
+    <div style={{ maxHeight: 260, overflowY: "auto", border: "1px solid #e5e7eb", borderRadius: 6 }}>
+      {cards.map(([name, available]) => {
+        const n = counts[name] || 0;
+        const set = (value) => onChange({ ...counts, [name]: Math.max(0, Math.min(available, value)) });
+        return (
+          <div
+            key={name}
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: 6,
+              padding: "4px 8px",
+              fontSize: "0.8rem",
+              background: n ? "#eef2ff" : "transparent"
+            }}
+          >
+            <span style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{name}</span>
+            <button type="button" onClick={() => set(n - 1)} disabled={!n} style={{ width: 24 }}>
+              −
+            </button>
+            <span style={{ width: 28, textAlign: "center" }}>
+              {n}/{available}
+            </span>
+            <button type="button" onClick={() => set(n + 1)} disabled={n >= available} style={{ width: 24 }}>
+              +
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  </div>
+);
+
+const SideboardPlansModal = ({ plans, mainConfig, sideConfig, onSave, onClose }) => {
+  // draft: the plan being edited ({ name, in, out } plus the name it was saved under), or null.
+  const [draft, setDraft] = useState(null);
+
+  const compact = (counts) => Object.fromEntries(Object.entries(counts).filter(([, n]) => n > 0));
+
+  const check = draft && applySideboardPlan({ mainConfig, sideConfig, plan: draft });
+  const nameProblem = !draft
+    ? null
+    : !draft.name.trim()
+    ? "Give the plan a name."
+    : plans.some((p) => p.name === draft.name.trim() && p.name !== draft.originalName)
+    ? `There is already a plan called "${draft.name.trim()}".`
+    : null;
+  const problems = draft ? [...(nameProblem ? [nameProblem] : []), ...check.problems] : [];
+
+  const handleSave = () => {
+    if (problems.length) return;
+    const plan = { name: draft.name.trim(), in: compact(draft.in), out: compact(draft.out) };
+    const next = draft.originalName
+      ? plans.map((p) => (p.name === draft.originalName ? plan : p))
+      : [...plans, plan];
+    onSave(next);
+    setDraft(null);
+  };
+
+  const handleDelete = (name) => {
+    if (!window.confirm(`Delete plan "${name}"?`)) return;
+    onSave(plans.filter((p) => p.name !== name));
+  };
+
+  return (
+    <div className="flex-modal-backdrop" onClick={onClose}>
+      <div className="flex-modal" onClick={(e) => e.stopPropagation()} style={{ maxWidth: 680, width: "95vw" }}>
+        <h3>Sideboard Plans</h3>
+
+        {!draft && (
+          <>
+            <p className="muted" style={{ marginBottom: 12 }}>
+              Per-matchup in/out plans. Pick one next to the Mainboard header to play with the post-board 60.
+            </p>
+            {plans.length === 0 && <p className="muted">No plans yet.</p>}
+            {plans.map((plan) => (
+              <div
+                key={plan.name}
+                style={{ display: "flex", alignItems: "center", gap: 8, padding: "8px 0", borderBottom: "1px solid #e5e7eb" }}
+              >
+                <div style={{ flex: 1, fontSize: "0.85rem" }}>{describePlan(plan)}</div>
+                <button
+                  className="btn"
+                  onClick={() => setDraft({ ...plan, in: { ...plan.in }, out: { ...plan.out }, originalName: plan.name })}
+                  style={{ padding: "6px 12px", fontSize: "0.8rem" }}
+                >
+                  Edit
+                </button>
+                <button
+                  className="btn btn--ghost"
+                  onClick={() => handleDelete(plan.name)}
+                  style={{ padding: "6px 12px", fontSize: "0.8rem" }}
+                >
+                  Delete
+                </button>
+              </div>
+            ))}
+            <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+              <button
+                className="btn"
+                onClick={() => setDraft({ name: "", in: {}, out: {}, originalName: null })}
+                style={{ flex: 1, background: "#22c55e", color: "#fff" }}
+              >
+                New plan
+              </button>
+              <button className="btn btn--ghost" onClick={onClose} style={{ flex: 1 }}>
+                Close
+              </button>
+            </div>
+          </>
+        )}
+
+        {draft && (
+          <>
+            <input
+              type="text"
+              placeholder='Matchup (e.g. "vs Dredge")'
+              value={draft.name}
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+              style={{
+                width: "100%",
+                boxSizing: "border-box",
+                padding: 8,
+                borderRadius: 6,
+                border: "1px solid #e5e7eb",
+                fontSize: "0.9rem",
+                marginBottom: 10
+              }}
+            />
+
+            <div style={{ display: "flex", gap: 12 }}>
+              <PlanStepper
+                title="In (from sideboard)"
+                cards={countByName(sideConfig)}
+                counts={draft.in}
+                onChange={(counts) => setDraft({ ...draft, in: counts })}
+              />
+              <PlanStepper
+                title="Out (from mainboard)"
+                cards={countByName(mainConfig)}
+                counts={draft.out}
+                onChange={(counts) => setDraft({ ...draft, out: counts })}
+              />
+            </div>
+
+            <div style={{ marginTop: 10, fontSize: "0.85rem", lineHeight: 1.5 }}>
+              {[...problems, ...check.sizeProblems].map((p) => (
+                <div key={p} style={{ color: "#721c24" }}>
+                  ⚠️ {p}
+                </div>
+              ))}
+              {!problems.length && !check.sizeProblems.length && (
+                <div style={{ color: "#155724" }}>
+                  ✓ {countCards(check.mainConfig)} / {countCards(check.sideConfig)} after boarding
+                </div>
+              )}
+            </div>
+
+            <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+              <button
+                className="btn"
+                onClick={handleSave}
+                disabled={problems.length > 0}
+                style={{ flex: 1, background: "#22c55e", color: "#fff" }}
+              >
+                Save plan
+              </button>
+              <button className="btn btn--ghost" onClick={() => setDraft(null)} style={{ flex: 1 }}>
+                Back
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/* ---------------------------------- Decks -------------------------------- */
+
+// Every deck file in src/decks/ shows up in the deck picker. The id is the file name.
+const deckFiles = import.meta.glob("./decks/*.json", { eager: true, import: "default" });
+
+const DECKS = Object.entries(deckFiles)
+  .map(([path, data]) => ({ id: path.replace(/^.*\//, "").replace(/\.json$/, ""), data }))
+  .sort((a, b) => (a.data.deckName || a.id).localeCompare(b.data.deckName || b.id));
+
+const DEFAULT_DECK_ID = DECKS.some((d) => d.id === "grixis-tinker-vintage") ? "grixis-tinker-vintage" : DECKS[0]?.id;
+
+// A deck file may bring its own flex pools; otherwise the shared option files are used.
+const flexPoolsFor = (deck) => ({
+  spells: deck.flexPools?.spells || spellFlexOptions,
+  lands: deck.flexPools?.lands || landFlexOptions,
+  sideboard: deck.flexPools?.sideboard || sideboardFlexOptions
+});
+
+/* ---------------------------------- App --------------------------------- */
+
+// Imported decks get an id like this; they only exist in the browser that imported them.
+const isImportedDeckId = (id) => id.startsWith("imported-");
+
+const currentHash = () => (typeof window === "undefined" ? "" : window.location.hash);
+
+export default function App() {
+  // A "#deck=..." share link picks the deck and, once, the configuration it describes.
+  const [share, setShare] = useState(() => readShareHash(currentHash()));
+  const [shareVersion, setShareVersion] = useState(0);
+  const [deckId, setDeckId] = useState(() =>
+    share?.d && DECKS.some((d) => d.id === share.d) ? share.d : DEFAULT_DECK_ID
+  );
+  // Set when a link names a deck file this copy of the site doesn't have.
+  const [shareNotice, setShareNotice] = useState(null);
+  // Decks brought in through the Import dialog sit alongside the deck files (kept in localStorage).
+  const [importedDecks, setImportedDecks] = useState(loadImportedDecks);
+
+  const decks = useMemo(() => [...DECKS, ...importedDecks], [importedDecks]);
+  const deck = decks.find((d) => d.id === deckId)?.data;
+
+  const importDeck = (data) => {
+    const id = `imported-${Date.now()}`;
+    setImportedDecks((prev) => {
+      const next = [...prev, { id, data }];
+      saveImportedDecks(next);
+      return next;
+    });
+    setDeckId(id);
+  };
+
+  // Drop the hash once applied so a reload comes back to the autosaved state.
+  const clearShare = () => {
+    setShare(null);
+    window.history.replaceState(null, "", window.location.pathname + window.location.search);
+  };
+
+  // Links pasted into an open tab only change the hash.
+  useEffect(() => {
+    const onHashChange = () => {
+      const payload = readShareHash(window.location.hash);
+      if (!payload) return;
+      setShare(payload);
+      setShareVersion((v) => v + 1);
+    };
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+
+  // Each payload is applied once: StrictMode runs effects twice in development, and a second
+  // pass would import the same shared deck again.
+  const appliedShare = useRef(null);
+  useEffect(() => {
+    if (!share || appliedShare.current === share) return;
+    appliedShare.current = share;
+    if (share.d) {
+      if (DECKS.some((d) => d.id === share.d)) {
+        setDeckId(share.d);
+        setShareNotice(null);
+      } else {
+        // The payload only records changes to that deck file, so there's nothing to import.
+        setShareNotice(`The shared link is for a deck ("${share.d}") that isn't on this site, so it wasn't loaded.`);
+        clearShare();
+      }
+      return;
+    }
+    // Shared imported deck: the link carries the whole list, so import it as a new deck.
+    const { mainConfig, sideConfig } = applySharePayload(share, { baseMain: [], baseSide: [], defaultOptions: () => [] });
+    importDeck({ deckName: share.n, format: "Vintage", mainboard: mainConfig, sideboard: sideConfig });
+    setShareNotice(null);
+    clearShare();
+  }, [share]);
+
+  if (!deck) return <p className="muted">No deck files found in src/decks/.</p>;
+
+  // Keyed by deck so switching decks rebuilds every piece of per-deck state from scratch.
+  return (
+    <DeckView
+      key={`${deckId}:${shareVersion}`}
+      deck={deck}
+      deckId={deckId}
+      decks={decks}
+      share={share?.d === deckId ? share : null}
+      onShareApplied={clearShare}
+      shareNotice={shareNotice}
+      onDismissShareNotice={() => setShareNotice(null)}
+      onSelectDeck={setDeckId}
+      onImportDeck={importDeck}
+    />
+  );
+}
+
+function DeckView({
+  deck,
+  deckId,
+  decks,
+  share,
+  onShareApplied,
+  shareNotice,
+  onDismissShareNotice,
+  onSelectDeck,
+  onImportDeck
+}) {
+  const flexPools = useMemo(() => flexPoolsFor(deck), [deck]);
+  const isMobile = useIsMobile();
+
+  // Pool options first, then any options the entry brings itself (custom cards added in the
+  // Flex modal and saved in a JSON export), without duplicates.
+  const withPool = (pool, own = []) => [...pool, ...own.filter((o) => !pool.some((p) => p.name === o.name))];
+
+  // Assign flexOptions dynamically based on card type
+  const assignFlexOptions = (mainboard) =>
+    mainboard.map((entry) => {
+      if (entry.locked) return entry;
+      return {
+        ...entry,
+        flexOptions: withPool(isLand(entry.card) ? flexPools.lands : flexPools.spells, entry.flexOptions)
+      };
+    });
+
+  const assignSideboardFlexOptions = (sideboard) =>
+    sideboard.map((entry) => ({ ...entry, flexOptions: withPool(flexPools.sideboard, entry.flexOptions) }));
+
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showSnapshotsModal, setShowSnapshotsModal] = useState(false);
+  const [showCompareModal, setShowCompareModal] = useState(false);
+  // Start from the autosaved working state when there is one, otherwise from the deck file.
+  const defaultOptions = (zone, card) =>
+    zone === "side" ? flexPools.sideboard : isLand(card) ? flexPools.lands : flexPools.spells;
+  const shareBase = () => ({
+    baseMain: assignFlexOptions(deck.mainboard),
+    baseSide: assignSideboardFlexOptions(deck.sideboard || []),
+    defaultOptions
+  });
+
+  const [savedConfig] = useState(() =>
+    share ? applySharePayload(share, shareBase()) : loadWorkingConfig(deckId)
+  );
+  // The working state a shared link replaces, read before the autosave below overwrites it.
+  const [replacedConfig] = useState(() => (share ? loadWorkingConfig(deckId) : null));
+  const [mainConfig, setMainConfig] = useState(() => savedConfig?.mainConfig || assignFlexOptions(deck.mainboard));
+  const [sideConfig, setSideConfig] = useState(
+    () => savedConfig?.sideConfig || assignSideboardFlexOptions(deck.sideboard || [])
+  );
+  const [snapshots, setSnapshots] = useState(() => loadSnapshots(deckId));
+
+  // A shared link replaces the working state; keep the old one as a snapshot. Saving it again
+  // (StrictMode's second effect pass) just rewrites the same snapshot.
+  useEffect(() => {
+    if (!share) return;
+    if (replacedConfig) setSnapshots(saveSnapshot(deckId, "Before shared link", replacedConfig));
+    onShareApplied();
+  }, []);
+
+  // Autosave every edit (flex swaps, added cards, custom flex options).
+  useEffect(() => {
+    saveWorkingConfig(deckId, { mainConfig, sideConfig });
+  }, [deckId, mainConfig, sideConfig]);
+
+  // Sideboard plans: the app's saved plans, else the deck file's. With a plan active, the grid,
+  // hand drawer, mulligan advice and simulations all use the post-board list (view-only).
+  const [sideboardPlans, setSideboardPlans] = useState(() => loadSideboardPlans(deckId) || deck.sideboardPlans || []);
+  const [activePlanName, setActivePlanName] = useState("");
+  const [showPlansModal, setShowPlansModal] = useState(false);
+
+  const activePlan = sideboardPlans.find((p) => p.name === activePlanName) || null;
+
+  // Scoring profile: the app's saved edits, else the deck file's `scoringProfile`, on top of the
+  // defaults. Edits apply as they're made, so the sample hand's advice re-runs live.
+  const [scoringOverrides, setScoringOverrides] = useState(() => loadScoringProfile(deckId) || deck.scoringProfile || {});
+  const scoringProfile = useMemo(() => resolveScoringProfile(scoringOverrides), [scoringOverrides]);
+  const [showScoringPanel, setShowScoringPanel] = useState(false);
+  const [showStats, setShowStats] = useState(false);
+  const [showDrawOdds, setShowDrawOdds] = useState(false);
+  const boarded = useMemo(
+    () => (activePlan ? applySideboardPlan({ mainConfig, sideConfig, plan: activePlan }) : null),
+    [activePlan, mainConfig, sideConfig]
+  );
+  const playMain = boarded ? boarded.mainConfig : mainConfig;
+  const playSide = boarded ? boarded.sideConfig : sideConfig;
+  const deckIndex = useMemo(() => buildDeckIndex({ mainboard: playMain, sideboard: playSide }), [playMain, playSide]);
+
+  const [selectedFlex, setSelectedFlex] = useState(null);
+  // London mulligan state: the 7 we drew, how many mulligans deep we are, and which
+  // of the 7 (by index) are going to the bottom.
+  const [dealtHand, setDealtHand] = useState([]);
+  const [dealtLibrary, setDealtLibrary] = useState([]);
+  // The same cards in a separate shuffle: the player can't see the real order, so the advice
+  // draws from this one (as dealLondonKeep does) and only the goldfish uses dealtLibrary.
+  const [unknownLibrary, setUnknownLibrary] = useState([]);
+  const [mulligans, setMulligans] = useState(0);
+  const [bottomIdx, setBottomIdx] = useState([]);
+  const [bottomNote, setBottomNote] = useState(null);
+  const [hoveredCard, setHoveredCard] = useState(null);
+
+  const [showAddCardModal, setShowAddCardModal] = useState(false);
+  const [addCardBtnText, setAddCardBtnText] = useState("+1 Card to 61");
+  const [newCardInput, setNewCardInput] = useState({ name: "", manaCost: "", typeLine: "" });
+
+  const [showHandModal, setShowHandModal] = useState(false);
+
+  // The archetype the sample hand, the goldfish and the simulations are judged against.
+  const [opponentId, setOpponentId] = useState(opponentArchetypes[0].id);
+  const opponent = opponentArchetypes.find((o) => o.id === opponentId) || opponentArchetypes[0];
+
+  const [simHands, setSimHands] = useState(1000);
+  const [simulation, setSimulation] = useState(null);
+  const simulationWorker = useRef(null);
+
+  useEffect(() => () => simulationWorker.current?.terminate(), []);
+
+  const mainColumns = useMemo(() => buildCmcColumns(playMain), [playMain]);
+  const mobileMainList = useMemo(() => buildMobileList(playMain, "main"), [playMain]);
+  const mobileSideList = useMemo(() => buildMobileList(playSide, "side"), [playSide]);
+
+  const mainboardCount = useMemo(() => countCards(playMain), [playMain]);
+  const deckStats = useMemo(() => computeDeckStats(playMain), [playMain]);
+  const sideboardCount = useMemo(() => countCards(playSide), [playSide]);
+  const sizeProblems = useMemo(
+    () => (boarded ? boarded.sizeProblems : deckSizeProblems(mainConfig, sideConfig)),
+    [boarded, mainConfig, sideConfig]
+  );
+  // Boarding only moves cards between main and side, so the pre-board list decides legality.
+  const validation = useMemo(() => validateDeck({ mainConfig, sideConfig }), [mainConfig, sideConfig]);
+
+  const sideSlots = useMemo(() => {
+    const slots = expandSlots(playSide, "side");
+    return slots.slice().sort((a, b) => {
+      const aLand = isLand(a.card);
+      const bLand = isLand(b.card);
+      const aCmc = aLand ? -1 : parseCmc(a.card.manaCost);
+      const bCmc = bLand ? -1 : parseCmc(b.card.manaCost);
+      if (aCmc !== bCmc) return aCmc - bCmc;
+      return a.card.name.localeCompare(b.card.name);
+    });
+  }, [playSide]);
+
+  const handleCardClick = (zone, entryIndex) => {
+    if (activePlan) return;
+    const config = zone === "main" ? mainConfig : sideConfig;
+    const entry = config[entryIndex];
+    if (!entry) return;
+    if (entry.locked) return;
+    if (!entry.flexOptions || entry.flexOptions.length === 0) return;
+    setSelectedFlex({ zone, entryIndex });
+  };
+
+  const applyFlexChoice = (optionIndex) => {
+    if (!selectedFlex) return;
+    const { zone, entryIndex } = selectedFlex;
+
+    if (zone === "main") {
+      const entry = mainConfig[entryIndex];
+      if (!entry) return;
+      const options = entry.flexOptions || [];
+      const chosenCard = optionIndex === -1 ? entry.card : options[optionIndex];
+      if (!chosenCard) return;
       setMainConfig((prev) => prev.map((e, idx) => (idx === entryIndex ? { ...e, card: { ...chosenCard } } : e)));
     } else {
       const entry = sideConfig[entryIndex];
@@ -1570,7 +1894,7 @@ export default function App() {
       card: { name, manaCost, typeLine },
       count: 1,
       locked: false,
-      flexOptions: typeLine.toLowerCase().includes("land") ? landFlexOptions : spellFlexOptions
+      flexOptions: typeLine.toLowerCase().includes("land") ? flexPools.lands : flexPools.spells
     };
 
     setMainConfig((prev) => [...prev, newEntry]);
@@ -1578,59 +1902,269 @@ export default function App() {
     setNewCardInput({ name: "", manaCost: "", typeLine: "" });
   };
 
-  const shuffleAndDraw = () => {
-    const allCards = [];
-    mainConfig.forEach((entry) => {
-      const count = entry.count || 1;
-      for (let i = 0; i < count; i++) allCards.push(entry.card);
-    });
+  const sampleHand = useMemo(
+    () => dealtHand.filter((_, i) => !bottomIdx.includes(i)),
+    [dealtHand, bottomIdx]
+  );
 
-    const drawn = shuffle(allCards).slice(0, 7);
-    setSampleHand(drawn);
+  // The libraries with the bottomed cards under them: the real one for the goldfish, the separate
+  // shuffle for the advice. Both are kept with the hand, so changing the opponent or a scoring
+  // weight re-judges the same cards instead of a fresh shuffle.
+  const handLibrary = useMemo(
+    () => [...dealtLibrary, ...bottomIdx.map((i) => dealtHand[i])],
+    [dealtLibrary, bottomIdx, dealtHand]
+  );
+  const adviceLibrary = useMemo(
+    () => [...unknownLibrary, ...bottomIdx.map((i) => dealtHand[i])],
+    [unknownLibrary, bottomIdx, dealtHand]
+  );
 
-    const analysis = analyzeMulligan({ hand: drawn, deckIndex });
-    setMulliganAdvice(analysis);
+  // Only judge the hand once the right number of cards has been bottomed.
+  const mulliganAdvice = useMemo(() => {
+    if (!dealtHand.length || bottomIdx.length !== mulligans) return null;
+    return analyzeMulligan({
+      hand: sampleHand,
+      deckIndex,
+      mulligans,
+      library: adviceLibrary,
+      opponent,
+      alternatives: 3,
+      profile: scoringProfile
+    });
+  }, [dealtHand, bottomIdx, mulligans, sampleHand, adviceLibrary, deckIndex, opponent, scoringProfile]);
+
+  // Step the kept hand through the goldfish turns.
+  const goldfish = useMemo(() => {
+    if (!mulliganAdvice) return null;
+    return simulateGoldfish({ hand: sampleHand, library: handLibrary, deckIndex, opponent, profile: scoringProfile });
+  }, [mulliganAdvice, sampleHand, handLibrary, deckIndex, opponent, scoringProfile]);
+
+  const dealHand = (mulliganCount) => {
+    const shuffled = shuffle(expandDeck(playMain));
+    const drawn = shuffled.slice(0, 7);
+    const unknown = shuffle(shuffled.slice(7));
+    setDealtHand(drawn);
+    setDealtLibrary(shuffled.slice(7));
+    setUnknownLibrary(unknown);
+    setMulligans(mulliganCount);
+
+    // Start from the advisor's bottoms; the user can still toggle cards by hand.
+    const advice = adviseBottom({
+      hand: drawn,
+      bottomCount: mulliganCount,
+      deckIndex,
+      library: unknown,
+      opponent,
+      profile: scoringProfile
+    });
+    setBottomIdx(advice.bottom);
+    setBottomNote(advice.note);
 
     if (isMobile) setShowHandModal(true);
   };
 
-  const formatDeckAsText = () => {
-    const lines = [];
-    for (const entry of mainConfig) lines.push(`${entry.count || 1} ${entry.card.name}`);
-    lines.push("");
-    for (const entry of sideConfig) lines.push(`${entry.count || 1} ${entry.card.name}`);
-    return lines.join("\n") + "\n";
+  const shuffleAndDraw = () => dealHand(0);
+
+  const mulliganHand = () => dealHand(mulligans + 1);
+
+  const suggestBottoms = () => {
+    const advice = adviseBottom({
+      hand: dealtHand,
+      bottomCount: mulligans,
+      deckIndex,
+      library: unknownLibrary,
+      opponent,
+      profile: scoringProfile
+    });
+    setBottomIdx(advice.bottom);
+    setBottomNote(advice.note);
+  };
+
+  const toggleBottom = (idx) => {
+    if (!mulligans) return;
+    setBottomNote(null);
+    setBottomIdx((prev) => {
+      if (prev.includes(idx)) return prev.filter((i) => i !== idx);
+      if (prev.length >= mulligans) return prev;
+      return [...prev, idx];
+    });
+  };
+
+  // kind: "keepRate" (mulligan decisions only) or "goldfish" (also plays out turns 1–4).
+  const runSimulation = (kind) => {
+    const count = Math.max(1, Math.min(100000, parseInt(simHands, 10) || 0));
+
+    // Only one run at a time: starting a new one abandons the previous worker.
+    simulationWorker.current?.terminate();
+    const worker = new Worker(new URL("./simulation-worker.js", import.meta.url), { type: "module" });
+    simulationWorker.current = worker;
+
+    setSimulation({ kind, total: count, opponent, running: true, report: null });
+
+    worker.onmessage = (e) => {
+      const { type, report } = e.data;
+      setSimulation({ kind, total: count, opponent, running: type !== "done", report });
+      if (type === "done") {
+        worker.terminate();
+        if (simulationWorker.current === worker) simulationWorker.current = null;
+      }
+    };
+    worker.onerror = () => {
+      worker.terminate();
+      if (simulationWorker.current === worker) simulationWorker.current = null;
+      setSimulation((prev) => ({ ...prev, running: false, error: "Simulation failed — see console." }));
+    };
+
+    worker.postMessage({ kind, mainConfig: playMain, count, opponent, profile: scoringProfile });
+  };
+
+  // Loading a snapshot, resetting or boarding changes the 60, so any dealt hand is stale.
+  const clearDealtHand = () => {
+    setDealtHand([]);
+    setDealtLibrary([]);
+    setUnknownLibrary([]);
+    setMulligans(0);
+    setBottomIdx([]);
+    setBottomNote(null);
+  };
+
+  const replaceConfig = ({ mainConfig: main, sideConfig: side }) => {
+    setMainConfig(main);
+    setSideConfig(side);
+    clearDealtHand();
   };
 
-  const handleExportDownload = () => {
-    const deckText = formatDeckAsText();
+  const selectPlan = (name) => {
+    setActivePlanName(name);
+    clearDealtHand();
+  };
+
+  const handleSavePlans = (plans) => {
+    setSideboardPlans(plans);
+    saveSideboardPlans(deckId, plans);
+    if (activePlanName && !plans.some((p) => p.name === activePlanName)) selectPlan("");
+  };
+
+  const handleScoringChange = (profile) => {
+    const overrides = diffScoringProfile(profile);
+    setScoringOverrides(overrides);
+    saveScoringProfile(deckId, overrides);
+  };
+
+  const handleScoringReset = () => {
+    clearScoringProfile(deckId);
+    setScoringOverrides(deck.scoringProfile || {});
+  };
+
+  // What the compare view can pick from: the working list, the deck file and every snapshot.
+  const compareConfigs = useMemo(
+    () => [
+      { id: "current", name: "Current list", mainConfig, sideConfig },
+      {
+        id: "file",
+        name: "Deck file",
+        mainConfig: assignFlexOptions(deck.mainboard),
+        sideConfig: assignSideboardFlexOptions(deck.sideboard || [])
+      },
+      ...snapshots.map((snapshot) => ({ ...snapshot, id: `snap:${snapshot.name}`, name: `Snapshot: ${snapshot.name}` }))
+    ],
+    [mainConfig, sideConfig, deck, snapshots]
+  );
+
+  const handleSaveSnapshot = (name) => setSnapshots(saveSnapshot(deckId, name, { mainConfig, sideConfig }));
+
+  const handleDeleteSnapshot = (name) => setSnapshots(deleteSnapshot(deckId, name));
+
+  const handleResetToDeckFile = () => {
+    if (!window.confirm("Discard all edits and reload the list from the deck file? Snapshots are kept.")) return;
+    clearWorkingConfig(deckId);
+    replaceConfig({
+      mainConfig: assignFlexOptions(deck.mainboard),
+      sideConfig: assignSideboardFlexOptions(deck.sideboard || [])
+    });
+  };
+
+  // Everything the export formatters need to reproduce the current list.
+  const exportSource = () => ({
+    deckName: deck.deckName,
+    format: deck.format,
+    flexPools: deck.flexPools,
+    sideboardPlans,
+    scoringProfile: scoringOverrides,
+    mainConfig,
+    sideConfig
+  });
+
+  const downloadFile = (content, extension, mimeType) => {
     const element = document.createElement("a");
-    element.setAttribute("href", "data:text/plain;charset=utf-8," + encodeURIComponent(deckText));
-    element.setAttribute("download", `${(deckData.deckName || "deck").replace(/\s+/g, "_")}.txt`);
+    element.setAttribute("href", `data:${mimeType};charset=utf-8,` + encodeURIComponent(content));
+    element.setAttribute("download", `${(deck.deckName || "deck").replace(/\s+/g, "_")}.${extension}`);
     element.style.display = "none";
     document.body.appendChild(element);
     element.click();
     document.body.removeChild(element);
   };
 
-  const handleExportCopy = async () => {
-    const deckText = formatDeckAsText();
+  const copyToClipboard = async (content, message = "Deck list copied to clipboard!") => {
     try {
-      await navigator.clipboard.writeText(deckText);
-      alert("Deck list copied to clipboard!");
+      await navigator.clipboard.writeText(content);
+      alert(message);
     } catch {
       alert("Copy failed (browser blocked clipboard). Try Download instead.");
     }
   };
 
+  const shareUrl = () => {
+    const hash = encodeShareHash({
+      deckId: isImportedDeckId(deckId) ? null : deckId,
+      deckName: deck.deckName,
+      ...(isImportedDeckId(deckId) ? { baseMain: [], baseSide: [], defaultOptions } : shareBase()),
+      mainConfig,
+      sideConfig
+    });
+    return `${window.location.origin}${window.location.pathname}${window.location.search}#${hash}`;
+  };
+
+  const exportActions = [
+    { label: "Copy share link", run: () => copyToClipboard(shareUrl(), "Share link copied to clipboard!") },
+    { label: "Download as .txt", run: () => downloadFile(formatDeckAsText(exportSource()), "txt", "text/plain") },
+    { label: "Copy to clipboard", run: () => copyToClipboard(formatDeckAsText(exportSource())) },
+    { label: "Download MTGO .dek", run: () => downloadFile(formatDeckAsDek(exportSource()), "dek", "application/xml") },
+    { label: "Copy for Arena", run: () => copyToClipboard(formatDeckAsArena(exportSource())) },
+    { label: "Download Markdown", run: () => downloadFile(formatDeckAsMarkdown(exportSource()), "md", "text/markdown") },
+    { label: "Copy as Markdown", run: () => copyToClipboard(formatDeckAsMarkdown(exportSource())) },
+    { label: "Download JSON", run: () => downloadFile(formatDeckAsJson(exportSource()), "json", "application/json") }
+  ];
+
   return (
     <div className="deck-page">
       <header className="deck-header">
         <div>
-          <h1>{deckData.deckName}</h1>
+          <h1>{deck.deckName}</h1>
+          {decks.length > 1 && (
+            <select
+              value={deckId}
+              onChange={(e) => onSelectDeck(e.target.value)}
+              style={{ marginTop: 4, padding: "4px 8px", borderRadius: 6, border: "1px solid #e5e7eb", fontSize: "0.9rem" }}
+            >
+              {decks.map((d) => (
+                <option key={d.id} value={d.id}>
+                  {d.data.deckName || d.id}
+                </option>
+              ))}
+            </select>
+          )}
         </div>
 
         <div style={{ display: "flex", gap: 8 }}>
+          <button className="btn" onClick={() => setShowImportModal(true)}>
+            Import
+          </button>
+
+          <button className="btn" onClick={() => setShowSnapshotsModal(true)}>
+            Snapshots
+          </button>
+
           <div style={{ position: "relative" }}>
             <button className="btn" onClick={() => setShowExportMenu((v) => !v)}>
               Export
@@ -1647,51 +2181,33 @@ export default function App() {
                   boxShadow: "0 4px 6px rgba(0, 0, 0, 0.1)",
                   zIndex: 40,
                   marginTop: 4,
-                  minWidth: 160
+                  minWidth: 190
                 }}
               >
-                <button
-                  onClick={() => {
-                    handleExportDownload();
-                    setShowExportMenu(false);
-                  }}
-                  style={{
-                    display: "block",
-                    width: "100%",
-                    padding: "10px 16px",
-                    border: "none",
-                    background: "transparent",
-                    cursor: "pointer",
-                    textAlign: "left",
-                    fontSize: "0.9rem",
-                    borderBottom: "1px solid #e5e7eb"
-                  }}
-                  onMouseEnter={(e) => (e.currentTarget.style.background = "#f3f4f6")}
-                  onMouseLeave={(e) => (e.currentTarget.style.background = "transparent")}
-                >
-                  Download as .txt
-                </button>
-
-                <button
-                  onClick={() => {
-                    handleExportCopy();
-                    setShowExportMenu(false);
-                  }}
-                  style={{
-                    display: "block",
-                    width: "100%",
-                    padding: "10px 16px",
-                    border: "none",
-                    background: "transparent",
-                    cursor: "pointer",
-                    textAlign: "left",
-                    fontSize: "0.9rem"
-                  }}
-                  onMouseEnter={(e) => (e.currentTarget.style.background = "#f3f4f6")}
-                  onMouseLeave={(e) => (e.currentTarget.style.background = "transparent")}
-                >
-                  Copy to clipboard
-                </button>
+                {exportActions.map((action, i) => (
+                  <button
+                    key={action.label}
+                    onClick={() => {
+                      action.run();
+                      setShowExportMenu(false);
+                    }}
+                    style={{
+                      display: "block",
+                      width: "100%",
+                      padding: "10px 16px",
+                      border: "none",
+                      background: "transparent",
+                      cursor: "pointer",
+                      textAlign: "left",
+                      fontSize: "0.9rem",
+                      borderBottom: i < exportActions.length - 1 ? "1px solid #e5e7eb" : "none"
+                    }}
+                    onMouseEnter={(e) => (e.currentTarget.style.background = "#f3f4f6")}
+                    onMouseLeave={(e) => (e.currentTarget.style.background = "transparent")}
+                  >
+                    {action.label}
+                  </button>
+                ))}
               </div>
             )}
           </div>
@@ -1702,6 +2218,49 @@ export default function App() {
         </div>
       </header>
 
+      {shareNotice && (
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: 12,
+            marginBottom: 12,
+            padding: "8px 12px",
+            borderRadius: 8,
+            background: "#fff3cd",
+            color: "#856404",
+            fontSize: "0.85rem",
+            lineHeight: 1.5
+          }}
+        >
+          <div style={{ flex: 1 }}>⚠️ {shareNotice}</div>
+          <button className="btn" onClick={onDismissShareNotice} style={{ padding: "4px 10px", fontSize: "0.8rem" }}>
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      {(validation.problems.length > 0 || sizeProblems.length > 0) && (
+        <div
+          style={{
+            marginBottom: 12,
+            padding: "8px 12px",
+            borderRadius: 8,
+            background: validation.problems.length ? "#f8d7da" : "#fff3cd",
+            color: validation.problems.length ? "#721c24" : "#856404",
+            fontSize: "0.85rem",
+            lineHeight: 1.5
+          }}
+        >
+          {validation.problems.length > 0 && (
+            <div style={{ fontWeight: 700 }}>Not Vintage-legal (banned/restricted list {BAN_LIST_VERSION})</div>
+          )}
+          {[...validation.problems, ...sizeProblems].map((p) => (
+            <div key={p}>⚠️ {p}</div>
+          ))}
+        </div>
+      )}
+
       <div className="deck-layout">
         {/* Mainboard */}
         <section className="deck-section">
@@ -1710,12 +2269,54 @@ export default function App() {
             <button
               onClick={handleAddCardClick}
               className="btn"
+              disabled={!!activePlan}
               style={{ padding: "6px 12px", fontSize: "0.8rem" }}
             >
               {addCardBtnText}
             </button>
+            <select
+              value={activePlanName}
+              onChange={(e) => selectPlan(e.target.value)}
+              style={{ padding: "4px 8px", borderRadius: 6, border: "1px solid #e5e7eb", fontSize: "0.85rem" }}
+            >
+              <option value="">Pre-board</option>
+              {sideboardPlans.map((plan) => (
+                <option key={plan.name} value={plan.name}>
+                  {plan.name}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => setShowPlansModal(true)}
+              className="btn"
+              style={{ padding: "6px 12px", fontSize: "0.8rem" }}
+            >
+              Sideboard plans
+            </button>
           </div>
 
+          {activePlan && (
+            <div
+              style={{
+                marginBottom: 10,
+                padding: "8px 12px",
+                borderRadius: 8,
+                background: boarded.problems.length ? "#f8d7da" : "#e0f2fe",
+                fontSize: "0.85rem",
+                lineHeight: 1.5
+              }}
+            >
+              <div>
+                <strong>Post-board</strong> — {describePlan(activePlan)}. Switch back to Pre-board to edit the list.
+              </div>
+              {boarded.problems.map((p) => (
+                <div key={p} style={{ color: "#721c24" }}>
+                  ⚠️ {p}
+                </div>
+              ))}
+            </div>
+          )}
+
           {isMobile ? (
             <div className="mobile-list">
               {mobileMainList.map((item) => (
@@ -1728,7 +2329,10 @@ export default function App() {
                     opacity: item.flexOptions && item.flexOptions.length > 0 ? 1 : 0.7
                   }}
                 >
-                  <span className="mobile-card-name">{item.card.name}</span>
+                  <span className="mobile-card-name" style={validation.cardIssues[item.card.name] ? { color: "#b91c1c" } : undefined}>
+                    {validation.cardIssues[item.card.name] && "⚠️ "}
+                    {item.card.name}
+                  </span>
                   <span className="mobile-card-cmc">CMC {item.cmc === 999 ? "-" : item.cmc}</span>
                   <span className="mobile-card-count">×{item.count}</span>
                 </div>
@@ -1750,6 +2354,7 @@ export default function App() {
                         compact={false}
                         onClick={() => handleCardClick("main", slot.entryIndex)}
                         onHover={setHoveredCard}
+                        issue={validation.cardIssues[slot.card.name]}
                       />
                     ))}
                   </div>
@@ -1783,7 +2388,7 @@ export default function App() {
 
         {/* Sideboard */}
         <section className="deck-section deck-section--side">
-          <h2>Sideboard: 15</h2>
+          <h2>Sideboard: {sideboardCount}</h2>
 
           {isMobile ? (
             <div className="mobile-list">
@@ -1797,7 +2402,10 @@ export default function App() {
                     opacity: item.flexOptions && item.flexOptions.length > 0 ? 1 : 0.7
                   }}
                 >
-                  <span className="mobile-card-name">{item.card.name}</span>
+                  <span className="mobile-card-name" style={validation.cardIssues[item.card.name] ? { color: "#b91c1c" } : undefined}>
+                    {validation.cardIssues[item.card.name] && "⚠️ "}
+                    {item.card.name}
+                  </span>
                   <span className="mobile-card-cmc">CMC {item.cmc === 999 ? "-" : item.cmc}</span>
                   <span className="mobile-card-count">×{item.count}</span>
                 </div>
@@ -1813,6 +2421,7 @@ export default function App() {
                   compact={false}
                   onClick={() => handleCardClick("side", slot.entryIndex)}
                   onHover={setHoveredCard}
+                  issue={validation.cardIssues[slot.card.name]}
                 />
               ))}
             </div>
@@ -1820,20 +2429,59 @@ export default function App() {
         </section>
       </div>
 
+      {/* Deck statistics */}
+      <section className="deck-section">
+        <div style={{ display: "flex", alignItems: "center", gap: 12, marginBottom: showStats ? 12 : 0 }}>
+          <h2 style={{ margin: 0 }}>Deck Statistics</h2>
+          <button
+            className="btn btn--ghost"
+            onClick={() => setShowStats((v) => !v)}
+            style={{ padding: "6px 12px", fontSize: "0.8rem" }}
+          >
+            {showStats ? "Hide" : "📊 Show"}
+          </button>
+        </div>
+        {showStats && <DeckStatsPanel stats={deckStats} />}
+      </section>
+
+      {/* Draw odds */}
+      <section className="deck-section">
+        <div style={{ display: "flex", alignItems: "center", gap: 12, marginBottom: showDrawOdds ? 12 : 0 }}>
+          <h2 style={{ margin: 0 }}>Draw Odds</h2>
+          <button
+            className="btn btn--ghost"
+            onClick={() => setShowDrawOdds((v) => !v)}
+            style={{ padding: "6px 12px", fontSize: "0.8rem" }}
+          >
+            {showDrawOdds ? "Hide" : "🎯 Show"}
+          </button>
+        </div>
+        {showDrawOdds && <DrawOddsPanel mainConfig={playMain} />}
+      </section>
+
       {/* Sample hand (desktop) */}
       {!isMobile && (
         <section className="deck-section">
           <h2>Sample Hand</h2>
-          {sampleHand.length === 0 ? (
+          {dealtHand.length === 0 ? (
             <p className="muted">Click "Shuffle &amp; Draw 7" to see a hand.</p>
           ) : (
             <>
+              <MulliganControls
+                mulligans={mulligans}
+                bottomCount={bottomIdx.length}
+                bottomNote={bottomNote}
+                onMulligan={mulliganHand}
+                onSuggest={suggestBottoms}
+              />
+
               <div className="hand-row">
-                {sampleHand.map((card, idx) => (
-                  <CardCell
+                {dealtHand.map((card, idx) => (
+                  <HandCard
                     key={`hand-${idx}`}
-                    slot={{ card, locked: true, flexOptions: [] }}
-                    stacked={false}
+                    card={card}
+                    bottomed={bottomIdx.includes(idx)}
+                    onClick={mulligans ? () => toggleBottom(idx) : undefined}
                     compact={true}
                     onHover={setHoveredCard}
                   />
@@ -1843,13 +2491,72 @@ export default function App() {
               {mulliganAdvice && (
                 <MulliganBox advice={mulliganAdvice} />
               )}
+
+              {goldfish && <GoldfishBox goldfish={goldfish} opponent={opponent} />}
             </>
           )}
         </section>
       )}
 
+      {/* Keep-rate / goldfish simulation */}
+      <section className="deck-section">
+        <h2>Simulation</h2>
+        <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+          <label style={{ fontSize: "0.9rem" }}>
+            Simulate{" "}
+            <input
+              type="number"
+              min={1}
+              max={100000}
+              step={100}
+              value={simHands}
+              onChange={(e) => setSimHands(e.target.value)}
+              style={{ width: 90, padding: "4px 6px", borderRadius: 4, border: "1px solid #e5e7eb" }}
+            />{" "}
+            hands
+          </label>
+          <label style={{ fontSize: "0.9rem" }}>
+            vs{" "}
+            <select
+              value={opponentId}
+              onChange={(e) => setOpponentId(e.target.value)}
+              title={opponent.note}
+              style={{ padding: "4px 6px", borderRadius: 4, border: "1px solid #e5e7eb" }}
+            >
+              {opponentArchetypes.map((o) => (
+                <option key={o.id} value={o.id}>
+                  {o.name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button className="btn" onClick={() => runSimulation("keepRate")} disabled={simulation?.running}>
+            Keep rate
+          </button>
+          <button className="btn" onClick={() => runSimulation("goldfish")} disabled={simulation?.running}>
+            Goldfish to T{GOLDFISH_TURNS}
+          </button>
+          <button className="btn btn--ghost" onClick={() => setShowScoringPanel((v) => !v)}>
+            ⚙️ Scoring
+          </button>
+          {simulation?.running && <span className="muted">Simulating…</span>}
+        </div>
+
+        {showScoringPanel && (
+          <ScoringPanel
+            profile={scoringProfile}
+            overrides={scoringOverrides}
+            onChange={handleScoringChange}
+            onReset={handleScoringReset}
+          />
+        )}
+
+        {simulation?.kind === "keepRate" && <KeepRateReport {...simulation} />}
+        {simulation?.kind === "goldfish" && <GoldfishReport {...simulation} />}
+      </section>
+
       {/* Mobile Hand Modal */}
-      {isMobile && showHandModal && sampleHand.length > 0 && (
+      {isMobile && showHandModal && dealtHand.length > 0 && (
         <div className="flex-modal-backdrop" onClick={() => setShowHandModal(false)}>
           <div
             className="flex-modal"
@@ -1871,6 +2578,14 @@ export default function App() {
               </button>
             </div>
 
+            <MulliganControls
+              mulligans={mulligans}
+              bottomCount={bottomIdx.length}
+              bottomNote={bottomNote}
+              onMulligan={mulliganHand}
+              onSuggest={suggestBottoms}
+            />
+
             <div
               style={{
                 display: "grid",
@@ -1879,17 +2594,20 @@ export default function App() {
                 marginBottom: "1rem"
               }}
             >
-              {sampleHand.map((card, idx) => (
-                <CardCell
+              {dealtHand.map((card, idx) => (
+                <HandCard
                   key={`hand-modal-${idx}`}
-                  slot={{ card, locked: true, flexOptions: [] }}
-                  stacked={false}
+                  card={card}
+                  bottomed={bottomIdx.includes(idx)}
+                  onClick={mulligans ? () => toggleBottom(idx) : undefined}
                   compact={false}
                 />
               ))}
             </div>
 
             {mulliganAdvice && <MulliganBox advice={mulliganAdvice} />}
+
+            {goldfish && <GoldfishBox goldfish={goldfish} opponent={opponent} />}
           </div>
         </div>
       )}
@@ -1906,21 +2624,77 @@ export default function App() {
         />
       )}
 
+      {/* Import Modal */}
+      {showImportModal && (
+        <ImportModal
+          onClose={() => setShowImportModal(false)}
+          onImport={(data) => {
+            setShowImportModal(false);
+            onImportDeck(data);
+          }}
+        />
+      )}
+
+      {/* Snapshots Modal */}
+      {showSnapshotsModal && (
+        <SnapshotsModal
+          snapshots={snapshots}
+          onSave={handleSaveSnapshot}
+          onLoad={(snapshot) => {
+            replaceConfig(snapshot);
+            setShowSnapshotsModal(false);
+          }}
+          onDelete={handleDeleteSnapshot}
+          onReset={() => {
+            handleResetToDeckFile();
+            setShowSnapshotsModal(false);
+          }}
+          onCompare={() => {
+            setShowSnapshotsModal(false);
+            setShowCompareModal(true);
+          }}
+          onClose={() => setShowSnapshotsModal(false)}
+        />
+      )}
+
+      {/* Compare Modal */}
+      {showCompareModal && (
+        <CompareModal
+          configs={compareConfigs}
+          opponent={opponent}
+          profile={scoringProfile}
+          onClose={() => setShowCompareModal(false)}
+        />
+      )}
+
+      {/* Sideboard Plans Modal */}
+      {showPlansModal && (
+        <SideboardPlansModal
+          plans={sideboardPlans}
+          mainConfig={mainConfig}
+          sideConfig={sideConfig}
+          onSave={handleSavePlans}
+          onClose={() => setShowPlansModal(false)}
+        />
+      )}
+
       {/* Add Card Modal */}
       {showAddCardModal && (
         <div className="flex-modal-backdrop" onClick={() => setShowAddCardModal(false)}>
           <div className="flex-modal" onClick={(e) => e.stopPropagation()}>
             <h3>Add a Card</h3>
             <p className="muted" style={{ marginBottom: 12 }}>
-              Enter card details to add to your mainboard
+              Search the card database, or enter the details by hand for cards it doesn't have yet
             </p>
 
             <form onSubmit={handleAddCardSubmit} style={{ display: "flex", flexDirection: "column", gap: 12 }}>
-              <input
-                type="text"
-                placeholder="Card Name"
+              <CardNameInput
+                placeholder="Card Name (start typing to search)"
                 value={newCardInput.name}
-                onChange={(e) => setNewCardInput((prev) => ({ ...prev, name: e.target.value }))}
+                onChange={(name) => setNewCardInput((prev) => ({ ...prev, name }))}
+                onPick={(picked) =>
+                  setNewCardInput({ name: picked.name, manaCost: picked.manaCost, typeLine: picked.typeLine })
+                }
                 required
                 style={{ padding: 8, borderRadius: 6, border: "1px solid #e5e7eb", fontSize: "0.9rem" }}
               />
@@ -1942,6 +2716,8 @@ export default function App() {
                 style={{ padding: 8, borderRadius: 6, border: "1px solid #e5e7eb", fontSize: "0.9rem" }}
               />
 
+              <CardOracle name={newCardInput.name} />
+
               <div style={{ display: "flex", gap: 8, marginTop: 4 }}>
                 <button type="submit" className="btn" style={{ flex: 1, background: "#22c55e", color: "#fff" }}>
                   Add Card
@@ -1958,7 +2734,26 @@ export default function App() {
   );
 }
 
+// "+1000" / "−35"
+const signedPoints = (points) => (points > 0 ? `+${points}` : `−${-points}`);
+
+// "Mana permanents (3) +12" for the best line's score breakdown.
+function ScoreBreakdown({ breakdown, score }) {
+  return (
+    <div style={{ fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace", fontSize: "0.82rem" }}>
+      {breakdown.map((b) => (
+        <div key={b.key}>
+          {signedPoints(b.points)} {b.label}
+          {b.detail && <span style={{ opacity: 0.7 }}> ({b.detail})</span>}
+        </div>
+      ))}
+      <div style={{ fontWeight: 700 }}>= {score}</div>
+    </div>
+  );
+}
+
 function MulliganBox({ advice }) {
+  const [showScoring, setShowScoring] = useState(false);
   const isWin = advice.stats.tier >= 3;
   const keep = advice.decision === "KEEP";
 
@@ -1970,6 +2765,7 @@ function MulliganBox({ advice }) {
     <div style={{ marginTop: "1rem", padding: "1rem", background: bg, border: `2px solid ${border}`, borderRadius: 8 }}>
       <h3 style={{ margin: "0 0 0.5rem 0", color: titleColor, fontSize: "1.1rem" }}>
         {isWin ? "🏆 KEEP — LINE FOUND" : keep ? "✅ KEEP" : "🔄 MULLIGAN"}
+        {advice.stats.mulligans > 0 && ` (on ${7 - advice.stats.mulligans})`}
       </h3>
 
       <div style={{ fontSize: "0.9rem", lineHeight: 1.6 }}>
@@ -1994,6 +2790,232 @@ function MulliganBox({ advice }) {
       <div style={{ marginTop: 10, fontSize: "0.85rem", opacity: 0.85 }}>
         Stats: {advice.stats.lands} lands • {advice.stats.selection} selection • {advice.stats.payoff} payoff • {advice.stats.interaction} interaction • tier {advice.stats.tier}
       </div>
+
+      <button
+        className="btn btn--ghost"
+        onClick={() => setShowScoring((v) => !v)}
+        style={{ marginTop: 10, padding: "6px 12px", fontSize: "0.8rem" }}
+      >
+        {showScoring ? "Hide scoring" : "Why this line?"}
+      </button>
+
+      {showScoring && (
+        <div style={{ marginTop: 10, paddingTop: 10, borderTop: "1px solid rgba(0,0,0,0.12)", fontSize: "0.9rem" }}>
+          <div style={{ fontWeight: 700, marginBottom: 6 }}>Score of the best line:</div>
+          <ScoreBreakdown breakdown={advice.breakdown} score={advice.score} />
+
+          <div style={{ fontWeight: 700, margin: "10px 0 6px" }}>Other lines the search considered:</div>
+          {!advice.alternatives.length && <div className="muted">None — every other line is this one stopped early.</div>}
+          {advice.alternatives.map((alt, i) => (
+            <div key={i} style={{ marginBottom: 10 }}>
+              <div style={{ fontWeight: 700 }}>
+                {alt.score} ({signedPoints(alt.score - advice.score)}) • tier {alt.tier}
+              </div>
+              <div style={{ fontSize: "0.85rem" }}>
+                vs best: {alt.versusBest.map((d) => `${signedPoints(d.points)} ${d.label}`).join(", ") || "same score items"}
+              </div>
+              <div style={{ fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace", fontSize: "0.82rem", opacity: 0.8 }}>
+                {alt.line.map((s, idx) => (
+                  <div key={idx}>• {s}</div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// A card in the sample hand; after a mulligan, clicking toggles whether it goes to the bottom.
+function HandCard({ card, bottomed, onClick, compact, onHover }) {
+  return (
+    <div
+      onClick={onClick}
+      style={{ position: "relative", cursor: onClick ? "pointer" : "default", opacity: bottomed ? 0.45 : 1 }}
+    >
+      <CardCell slot={{ card, locked: true, flexOptions: [] }} stacked={false} compact={compact} onHover={onHover} />
+      {bottomed && (
+        <div
+          style={{
+            position: "absolute",
+            top: 4,
+            right: 4,
+            background: "#6b7280",
+            color: "#fff",
+            fontSize: "0.6rem",
+            padding: "2px 5px",
+            borderRadius: 3,
+            fontWeight: 700
+          }}
+        >
+          BOTTOM
+        </div>
+      )}
+    </div>
+  );
+}
+
+function MulliganControls({ mulligans, bottomCount, bottomNote, onMulligan, onSuggest }) {
+  const handSize = 7 - mulligans;
+
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", marginBottom: 10 }}>
+      <button className="btn" onClick={onMulligan} disabled={handSize <= 1}>
+        Mulligan to {handSize - 1}
+      </button>
+
+      {mulligans > 0 && (
+        <>
+          <button className="btn btn--ghost" onClick={onSuggest}>
+            Suggest bottoms
+          </button>
+          <span className="muted">
+            Choose {mulligans} to bottom ({bottomCount}/{mulligans} selected)
+            {bottomNote && ` — ${bottomNote}`}
+          </span>
+        </>
+      )}
+    </div>
+  );
+}
+
+const WIN_FLAG_LABELS = {
+  infiniteTurns: "Vault + Key / Tezzeret (infinite turns)",
+  tinkerWin: "Tinker → Blightsteel",
+  tezzTimeWalkWin: "Tezzeret the Seeker + Time Walk",
+  tezzUltimate: "Tezzeret the Seeker ultimate",
+  big: "Big T1 play (payoff / lock)",
+  castSelection: "Cast selection / tutor",
+  forceBackup: "Free counter kept up (pitch)"
+};
+
+// "Shops (Sphere / Thorn)" -> " vs Shops (Sphere / Thorn)"; nothing against the goldfish.
+const versus = (opponent) => (opponent?.disruption ? ` vs ${opponent.name}` : "");
+
+// The last turn a game gets: the goldfish turns, cut short by the opponent's clock.
+const lastTurnAgainst = (opponent) => Math.min(GOLDFISH_TURNS, opponent?.disruption?.clock || GOLDFISH_TURNS);
+
+function KeepRateReport({ total, running, report, error, opponent }) {
+  const pct = (n) => (report?.hands ? `${((100 * n) / report.hands).toFixed(1)}%` : "—");
+  const flagNames = [...WIN_FLAGS, "big", "castSelection", "forceBackup"];
+
+  return (
+    <div style={{ marginTop: "1rem", fontSize: "0.9rem", lineHeight: 1.6 }}>
+      {error && <div style={{ color: "#721c24" }}>{error}</div>}
+      {running && (
+        <div className="muted">
+          {report ? report.hands : 0} / {total} hands…
+        </div>
+      )}
+
+      {report && (
+        <>
+          <div style={{ fontWeight: 700, fontSize: "1.05rem" }}>
+            KEEP 7 {pct(report.keeps)}{versus(opponent)}{" "}
+            <span className="muted">({report.keeps} of {report.hands} hands)</span>
+          </div>
+          <div>
+            London mulligan: kept 6 {pct(report.keptAt[6] || 0)} • kept 5 {pct(report.keptAt[5] || 0)}
+          </div>
+
+          <div style={{ marginTop: 8, fontWeight: 700 }}>Tier distribution (kept hands)</div>
+          {report.tiers.map((n, tier) => (
+            <div key={tier}>
+              Tier {tier}: {pct(n)} ({n})
+            </div>
+          ))}
+
+          <div style={{ marginTop: 8, fontWeight: 700 }}>How often each line fires</div>
+          {flagNames.map((flag) => (
+            <div key={flag}>
+              {WIN_FLAG_LABELS[flag] || flag}: {pct(report.flags[flag] || 0)} ({report.flags[flag] || 0})
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Turn-by-turn goldfish of the current sample hand.
+function GoldfishBox({ goldfish, opponent }) {
+  const lastTurn = lastTurnAgainst(opponent);
+  let outcome = `no win line by turn ${lastTurn}`;
+  if (goldfish.winTurn) outcome = `win line online on turn ${goldfish.winTurn}`;
+  else if (goldfish.countered) outcome = `win line countered on turn ${goldfish.countered}`;
+
+  return (
+    <div style={{ marginTop: "1rem", padding: "1rem", background: "#f9fafb", border: "1px solid #e5e7eb", borderRadius: 8 }}>
+      <h3 style={{ margin: "0 0 0.5rem 0", fontSize: "1.05rem" }}>
+        Goldfish (on the play){versus(opponent)}: {outcome}
+      </h3>
+
+      {goldfish.turns.map((t) => (
+        <div key={t.turn} style={{ marginTop: 8 }}>
+          <div style={{ fontWeight: 700 }}>
+            Turn {t.turn}
+            {t.drew && <span className="muted"> — drew {t.drew}</span>} • tier {t.tier}
+          </div>
+          <div style={{ fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace", fontSize: "0.82rem" }}>
+            {t.line.slice(0, 12).map((s, idx) => (
+              <div key={idx}>• {s}</div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function GoldfishReport({ total, running, report, error, opponent }) {
+  const pct = (n) => (report?.games ? `${((100 * n) / report.games).toFixed(1)}%` : "—");
+
+  const lastTurn = lastTurnAgainst(opponent);
+  const turns = Array.from({ length: lastTurn }, (_, i) => i + 1);
+  const wins = report ? turns.reduce((sum, t) => sum + (report.winsByTurn[t] || 0), 0) : 0;
+  const averageTurn = wins
+    ? (turns.reduce((sum, t) => sum + t * (report.winsByTurn[t] || 0), 0) / wins).toFixed(2)
+    : "—";
+
+  let cumulative = 0;
+
+  return (
+    <div style={{ marginTop: "1rem", fontSize: "0.9rem", lineHeight: 1.6 }}>
+      {error && <div style={{ color: "#721c24" }}>{error}</div>}
+      {running && (
+        <div className="muted">
+          {report ? report.games : 0} / {total} games…
+        </div>
+      )}
+
+      {report && (
+        <>
+          <div style={{ fontWeight: 700, fontSize: "1.05rem" }}>
+            Win line by T{lastTurn}
+            {versus(opponent)}: {pct(wins)} <span className="muted">(average turn {averageTurn})</span>
+          </div>
+
+          <div style={{ marginTop: 8, fontWeight: 700 }}>Fastest win turn</div>
+          {turns.map((t) => {
+            const n = report.winsByTurn[t] || 0;
+            cumulative += n;
+            return (
+              <div key={t}>
+                Turn {t}: {pct(n)} ({n}) • by turn {t}: {pct(cumulative)}
+              </div>
+            );
+          })}
+          <div>
+            No win by T{lastTurn}: {pct(report.noWin)} ({report.noWin})
+          </div>
+          {report.countered > 0 && (
+            <div>
+              Win line countered: {pct(report.countered)} ({report.countered})
+            </div>
+          )}
+        </>
+      )}
     </div>
   );
 }
@@ -0,0 +1,110 @@
+/*
+  The bundled card database (card-database.json): mana cost, type line, oracle text and Vintage
+  legality ("legal" | "restricted") for the cards Vintage decks play, keyed by exact card name.
+  The legality check itself reads the versioned list in vintage-banned-restricted.json; the
+  database's `legalities` follow it (deck-validation.test.js checks they agree).
+
+  - lookupCard: exact (case/apostrophe-insensitive) name -> the deck schema's { name, manaCost, typeLine }.
+  - cardDetails: the same lookup with oracle text and legality, for display.
+  - searchCards: ranked, typo-tolerant matches for autocomplete ("ancestr" -> Ancestral Recall).
+
+  Cards missing from the file still work everywhere; they just have to be typed in by hand.
+*/
+
+import cardDatabase from "./card-database.json";
+
+// Case/apostrophe-insensitive name lookup into the bundled database.
+const normalizeName = (name) =>
+  name
+    .trim()
+    .replace(/[’‘`]/g, "'")
+    .replace(/\s*\/\/+\s*/g, " // ")
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+
+const databaseIndex = new Map(Object.keys(cardDatabase).map((name) => [normalizeName(name), name]));
+
+export const lookupCard = (name) => {
+  const canonical = databaseIndex.get(normalizeName(name));
+  if (!canonical) return null;
+  const { manaCost, typeLine } = cardDatabase[canonical];
+  return { name: canonical, manaCost, typeLine };
+};
+
+export const cardDetails = (name) => {
+  const canonical = databaseIndex.get(normalizeName(name));
+  return canonical ? { name: canonical, ...cardDatabase[canonical] } : null;
+};
+
+/* --------------------------------- Search --------------------------------- */
+
+// Search form of a name: lowercase letters, digits and single spaces ("Lim-Dûl's Vault" -> "lim dul s vault").
+const searchKey = (text) =>
+  text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const searchIndex = Object.keys(cardDatabase).map((name) => {
+  const key = searchKey(name);
+  return { name, key, words: key.split(" "), compact: key.replace(/ /g, "") };
+});
+
+// Letters of `query` appear in `text` in order ("anrec" in "ancestralrecall").
+const isSubsequence = (query, text) => {
+  let i = 0;
+  for (const ch of text) if (ch === query[i]) i++;
+  return i === query.length;
+};
+
+// At most one letter wrong, missing or extra ("ancestrl" vs "ancestra").
+const withinOneEdit = (a, b) => {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (b.length > a.length) j++;
+    else {
+      i++;
+      j++;
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+};
+
+// Lower is better; null when the card doesn't match at all.
+const matchRank = (query, queryWords, card) => {
+  if (card.key.startsWith(query)) return 0;
+  if (queryWords.every((q) => card.words.some((w) => w.startsWith(q)))) return 1;
+  if (card.key.includes(query)) return 2;
+  const compactQuery = query.replace(/ /g, "");
+  if (compactQuery.length >= 3 && isSubsequence(compactQuery, card.compact)) return 3;
+  // A typo in a word: every query word is a near-prefix of some word of the name.
+  const nearPrefix = (q) => q.length >= 4 && card.words.some((w) => withinOneEdit(q, w.slice(0, q.length)));
+  if (queryWords.every((q) => nearPrefix(q) || card.words.some((w) => w.startsWith(q)))) return 4;
+  return null;
+};
+
+// Up to `limit` database cards for what's been typed so far, best match first.
+export const searchCards = (query, limit = 8) => {
+  const q = searchKey(query || "");
+  if (!q) return [];
+  const queryWords = q.split(" ");
+
+  return searchIndex
+    .map((card) => ({ card, rank: matchRank(q, queryWords, card) }))
+    .filter((m) => m.rank !== null)
+    .sort((a, b) => a.rank - b.rank || a.card.name.length - b.card.name.length || a.card.name.localeCompare(b.card.name))
+    .slice(0, limit)
+    .map((m) => ({ name: m.card.name, ...cardDatabase[m.card.name] }));
+};
@@ -0,0 +1,41 @@
+/*
+  Side-by-side comparison of two deck configurations (the working list, the deck file or a
+  snapshot): which cards changed, and how the curve, sources and role counts move.
+  The keep-rate half runs in the simulation worker with a shared seed (see simulateKeepRate).
+*/
+
+import { STAT_ROLES, computeDeckStats } from "./deck-stats.js";
+
+// [{ name, from, to }] for every card whose copies differ between two configs, by name.
+const diffZone = (a, b) => {
+  const counts = new Map();
+  const add = (config, key) => {
+    for (const e of config) {
+      const row = counts.get(e.card.name) || { name: e.card.name, from: 0, to: 0 };
+      row[key] += e.count || 1;
+      counts.set(e.card.name, row);
+    }
+  };
+  add(a, "from");
+  add(b, "to");
+  return [...counts.values()].filter((r) => r.from !== r.to).sort((x, y) => x.name.localeCompare(y.name));
+};
+
+export const diffConfigs = (a, b) => ({
+  main: diffZone(a.mainConfig, b.mainConfig),
+  side: diffZone(a.sideConfig, b.sideConfig)
+});
+
+// Rows of [label, valueA, valueB] for the stats part of the compare view.
+export const compareStats = (a, b) => {
+  const sa = computeDeckStats(a.mainConfig);
+  const sb = computeDeckStats(b.mainConfig);
+  return [
+    ...sa.curve.map((bucket, i) => [`MV ${bucket.label}`, bucket.count, sb.curve[i].count]),
+    ["Lands", sa.lands, sb.lands],
+    ["Average MV", +sa.averageMv.toFixed(2), +sb.averageMv.toFixed(2)],
+    ...Object.keys(sa.sources).map((c) => [`{${c}} sources`, sa.sources[c], sb.sources[c]]),
+    ["Artifacts", sa.artifacts, sb.artifacts],
+    ...STAT_ROLES.map((role) => [role.label, sa.roles[role.key].count, sb.roles[role.key].count])
+  ];
+};
@@ -0,0 +1,106 @@
+/*
+  Deck list export: the counterpart of deck-import.js. Every formatter takes the working
+  deck ({ deckName, format, mainConfig, sideConfig }) and returns a string.
+*/
+
+import { isLand, parseCmc } from "./mulligan-engine.js";
+
+const countOf = (entry) => entry.count || 1;
+
+// Plain text (MTGO .txt style), with a labelled sideboard section.
+export const formatDeckAsText = ({ mainConfig, sideConfig }) => {
+  const lines = mainConfig.map((e) => `${countOf(e)} ${e.card.name}`);
+  if (sideConfig.length) {
+    lines.push("", "Sideboard");
+    for (const e of sideConfig) lines.push(`${countOf(e)} ${e.card.name}`);
+  }
+  return lines.join("\n") + "\n";
+};
+
+// Arena export: "Deck" / "Sideboard" headers. We don't know set codes, so lines are "4 Name".
+export const formatDeckAsArena = ({ mainConfig, sideConfig }) => {
+  const lines = ["Deck", ...mainConfig.map((e) => `${countOf(e)} ${e.card.name}`)];
+  if (sideConfig.length) lines.push("", "Sideboard", ...sideConfig.map((e) => `${countOf(e)} ${e.card.name}`));
+  return lines.join("\n") + "\n";
+};
+
+const escapeXml = (s) =>
+  s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+
+// MTGO .dek XML. We have no MTGO catalog ids, so CatID is left out; MTGO matches on Name.
+export const formatDeckAsDek = ({ mainConfig, sideConfig }) => {
+  const row = (e, side) =>
+    `  <Cards Quantity="${countOf(e)}" Sideboard="${side}" Name="${escapeXml(e.card.name)}" Annotation="0" />`;
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<Deck xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+    "  <NetDeckID>0</NetDeckID>",
+    "  <PreconstructedDeckID>0</PreconstructedDeckID>",
+    ...mainConfig.map((e) => row(e, false)),
+    ...sideConfig.map((e) => row(e, true)),
+    "</Deck>",
+    ""
+  ].join("\n");
+};
+
+const escapeMarkdownCell = (s) => s.replace(/\|/g, "\\|");
+
+// Markdown: the mainboard as a table with one column per grid column (Lands, CMC 0, CMC 1, ...),
+// then the sideboard as a list.
+export const formatDeckAsMarkdown = ({ deckName, mainConfig, sideConfig }) => {
+  const cols = new Map();
+  for (const e of mainConfig) {
+    const land = isLand(e.card);
+    const cmc = land ? -1 : parseCmc(e.card.manaCost);
+    if (!cols.has(cmc)) cols.set(cmc, { label: land ? "Lands" : `CMC ${cmc}`, order: cmc, rows: [], total: 0 });
+    const col = cols.get(cmc);
+    col.rows.push(`${countOf(e)} ${escapeMarkdownCell(e.card.name)}`);
+    col.total += countOf(e);
+  }
+
+  const columns = Array.from(cols.values()).sort((a, b) => a.order - b.order);
+  columns.forEach((c) => c.rows.sort((a, b) => a.replace(/^\d+ /, "").localeCompare(b.replace(/^\d+ /, ""))));
+  const height = Math.max(0, ...columns.map((c) => c.rows.length));
+
+  const mainCount = mainConfig.reduce((sum, e) => sum + countOf(e), 0);
+  const sideCount = sideConfig.reduce((sum, e) => sum + countOf(e), 0);
+
+  const lines = [`# ${deckName || "Deck"}`, "", `## Mainboard (${mainCount})`, ""];
+  lines.push(`| ${columns.map((c) => `${c.label} (${c.total})`).join(" | ")} |`);
+  lines.push(`| ${columns.map(() => "---").join(" | ")} |`);
+  for (let i = 0; i < height; i++) lines.push(`| ${columns.map((c) => c.rows[i] || "").join(" | ")} |`);
+
+  if (sideConfig.length) {
+    lines.push("", `## Sideboard (${sideCount})`, "");
+    for (const e of sideConfig) lines.push(`- ${countOf(e)} ${e.card.name}`);
+  }
+
+  return lines.join("\n") + "\n";
+};
+
+// The app's own deck schema. Entries keep the current flex choice as `card`, their flex
+// options (including custom ones added in the Flex modal) and lock state, and cards added
+// with "+1 Card" are just more entries, so importing this file restores the list exactly.
+// Sideboard plans and scoring profile changes ride along in the same `sideboardPlans` /
+// `scoringProfile` fields deck files use.
+export const formatDeckAsJson = ({ deckName, format, flexPools, sideboardPlans, scoringProfile, mainConfig, sideConfig }) => {
+  const entry = (e) => ({
+    card: { name: e.card.name, manaCost: e.card.manaCost || "", typeLine: e.card.typeLine || "" },
+    count: countOf(e),
+    locked: !!e.locked,
+    flexOptions: e.flexOptions || []
+  });
+
+  const deck = {
+    deckName: deckName || "Deck",
+    format: format || "Vintage",
+    ...(flexPools ? { flexPools } : {}),
+    mainboard: mainConfig.map(entry),
+    sideboard: sideConfig.map(entry),
+    ...(sideboardPlans?.length ? { sideboardPlans } : {}),
+    ...(scoringProfile && Object.keys(scoringProfile).length ? { scoringProfile } : {})
+  };
+
+  return JSON.stringify(deck, null, 2) + "\n";
+};
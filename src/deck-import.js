@@ -0,0 +1,167 @@
+/*
+  Deck list import: turns pasted/uploaded deck lists into the app's deck entry schema
+  ({ card: { name, manaCost, typeLine }, count, locked, flexOptions }).
+
+  Supported formats:
+  - Plain text: "4 Force of Will" / "4x Force of Will". The sideboard starts after a
+    "Sideboard" line, after a blank line (MTGO .txt export), or on lines prefixed "SB:".
+  - MTGO .dek XML: <Cards Quantity="4" Sideboard="false" Name="Force of Will" ... />
+  - Arena export: "Deck" / "Sideboard" headers, lines like "4 Force of Will (EMA) 49".
+  - The app's own JSON export, restored exactly (flex choices, flex options, locks, sideboard
+    plans and scoring profile).
+
+  Mana cost and type line come from the bundled card database; names it doesn't know are
+  imported with an empty cost/type and reported in `unresolved`.
+*/
+
+import { lookupCard } from "./card-database.js";
+
+/* --------------------------------- Parsers -------------------------------- */
+
+const decodeXml = (s) =>
+  s
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+
+const parseDek = (text) => {
+  const main = [];
+  const side = [];
+
+  for (const [, attrs] of text.matchAll(/<Cards\b([^>]*)\/?>/g)) {
+    const attr = (key) => {
+      const m = attrs.match(new RegExp(`\\b${key}="([^"]*)"`));
+      return m ? decodeXml(m[1]) : "";
+    };
+    const name = attr("Name");
+    const count = parseInt(attr("Quantity"), 10) || 0;
+    if (!name || !count) continue;
+    (attr("Sideboard") === "true" ? side : main).push({ name, count });
+  }
+
+  return { main, side };
+};
+
+// "4 Force of Will", "4x Force of Will", "Force of Will" (count 1), with an optional
+// Arena-style "(SET) 123" suffix.
+const CARD_LINE = /^(?:(\d+)x?\s+)?(.+?)(?:\s+\([A-Z0-9]{2,6}\)(?:\s+\S+)?)?$/i;
+
+const parseTextLines = (text) => {
+  const main = [];
+  const side = [];
+  let inSide = false;
+  let sawCards = false;
+  // Blank lines only mean "sideboard next" when the list has no explicit sideboard marker.
+  const explicitSide = /^\s*(sideboard:?\s*$|SB:)/im.test(text);
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+
+    if (!line) {
+      // MTGO .txt exports separate the sideboard with a blank line.
+      if (!explicitSide && sawCards && main.length) inSide = true;
+      continue;
+    }
+    if (/^(\/\/|#)/.test(line)) continue;
+
+    // Section headers (plain text and Arena).
+    if (/^sideboard:?$/i.test(line)) {
+      inSide = true;
+      continue;
+    }
+    if (/^(deck|main(board)?|companion|commander|about|name\s.*):?$/i.test(line)) {
+      inSide = false;
+      sawCards = false;
+      continue;
+    }
+
+    let body = line;
+    let toSide = inSide;
+    if (/^SB:\s*/i.test(body)) {
+      body = body.replace(/^SB:\s*/i, "");
+      toSide = true;
+    }
+
+    const m = body.match(CARD_LINE);
+    if (!m) continue;
+    const count = m[1] ? parseInt(m[1], 10) : 1;
+    const name = m[2].trim();
+    if (!name || !count) continue;
+
+    (toSide ? side : main).push({ name, count });
+    sawCards = true;
+  }
+
+  return { main, side };
+};
+
+// The app's own JSON export (see formatDeckAsJson in deck-export.js). Entries are taken
+// as-is so flex choices, flex options and lock state survive the round trip.
+const parseJsonDeck = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid deck JSON: ${err.message}`);
+  }
+  if (!data || !Array.isArray(data.mainboard)) throw new Error("Deck JSON has no mainboard array.");
+
+  const entry = (e) => ({
+    card: { name: e.card?.name || "", manaCost: e.card?.manaCost || "", typeLine: e.card?.typeLine || "" },
+    count: e.count || 1,
+    locked: !!e.locked,
+    flexOptions: Array.isArray(e.flexOptions) ? e.flexOptions : []
+  });
+
+  return {
+    deckName: data.deckName,
+    flexPools: data.flexPools,
+    mainboard: data.mainboard.filter((e) => e.card?.name).map(entry),
+    sideboard: (data.sideboard || []).filter((e) => e.card?.name).map(entry),
+    sideboardPlans: Array.isArray(data.sideboardPlans) ? data.sideboardPlans : undefined,
+    scoringProfile: data.scoringProfile && typeof data.scoringProfile === "object" ? data.scoringProfile : undefined
+  };
+};
+
+export const detectDeckFormat = (text) => {
+  if (/^\s*\{/.test(text)) return "json";
+  if (/<Cards\b/i.test(text)) return "dek";
+  if (/^\s*deck\s*$/im.test(text) || /\([A-Z0-9]{2,6}\)\s+\S+\s*$/m.test(text)) return "arena";
+  return "text";
+};
+
+/* --------------------------------- Import --------------------------------- */
+
+// Merge duplicate names ("2 Force of Will" twice -> count 4) and resolve them against the database.
+const toEntries = (rows, unresolved) => {
+  const byName = new Map();
+
+  for (const { name, count } of rows) {
+    const found = lookupCard(name);
+    const card = found || { name: name.trim(), manaCost: "", typeLine: "" };
+    if (!found && !unresolved.includes(card.name)) unresolved.push(card.name);
+
+    const existing = byName.get(card.name);
+    if (existing) existing.count += count;
+    else byName.set(card.name, { card, count, locked: false, flexOptions: [] });
+  }
+
+  return Array.from(byName.values());
+};
+
+export const parseDeckList = (text) => {
+  const format = detectDeckFormat(text);
+  if (format === "json") return { format, ...parseJsonDeck(text), unresolved: [] };
+
+  const { main, side } = format === "dek" ? parseDek(text) : parseTextLines(text);
+  const unresolved = [];
+
+  return {
+    format,
+    mainboard: toEntries(main, unresolved),
+    sideboard: toEntries(side, unresolved),
+    unresolved
+  };
+};
@@ -0,0 +1,129 @@
+/*
+  Shareable deck-state URLs: "#deck=<base64url JSON>".
+
+  The payload only records what differs from the deck file, so a stock list is a few bytes:
+    { v: 1, d: "<deck id>", m: { "<entry index>": token }, s: { ... }, x: { "m3": [token, ...] } }
+  - m / s: mainboard / sideboard entries whose card differs from the deck file (a flex swap)
+    or that are past its end (cards added with "+1 Card"). Unchanged entries are omitted.
+  - x: custom flex options added to an entry on top of its default pool, keyed "m<i>" / "s<i>".
+  - Decks that aren't files in src/decks/ (imported ones) have no id a teammate could
+    resolve, so they carry their name instead (n) and every entry counts as "added".
+
+  A card token is the card name when the card is known (count 1) or [name, count] — or
+  [name, count, manaCost, typeLine] when the receiving side couldn't look the card up.
+*/
+
+import { lookupCard } from "./card-database.js";
+
+const HASH_KEY = "deck";
+
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (encoded) => {
+  const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0)));
+};
+
+// Cards the receiver can rebuild from a name alone: the deck file, its flex pools, the database.
+const makeResolver = (baseMain, baseSide) => {
+  const known = new Map();
+  for (const entry of [...baseMain, ...baseSide]) {
+    for (const card of [entry.card, ...(entry.flexOptions || [])]) if (!known.has(card.name)) known.set(card.name, card);
+  }
+  return (name) => known.get(name) || lookupCard(name);
+};
+
+const sameCard = (a, b) => a && b && a.name === b.name && (a.manaCost || "") === (b.manaCost || "") && (a.typeLine || "") === (b.typeLine || "");
+
+const encodeCard = (card, count, resolve) => {
+  if (!sameCard(resolve(card.name), card)) return [card.name, count, card.manaCost || "", card.typeLine || ""];
+  return count === 1 ? card.name : [card.name, count];
+};
+
+const decodeCard = (token, resolve) => {
+  const [name, count = 1, manaCost, typeLine] = Array.isArray(token) ? token : [token];
+  const card = manaCost !== undefined ? { name, manaCost, typeLine } : resolve(name) || { name, manaCost: "", typeLine: "" };
+  return { card: { name: card.name, manaCost: card.manaCost || "", typeLine: card.typeLine || "" }, count };
+};
+
+/* --------------------------------- Encode --------------------------------- */
+
+// baseMain / baseSide: the deck file's entries with their default flex options assigned.
+// defaultOptions(zone, card): the pool a newly added entry gets ("main" | "side").
+export const encodeShareHash = ({ deckId, deckName, baseMain, baseSide, mainConfig, sideConfig, defaultOptions }) => {
+  const resolve = makeResolver(baseMain, baseSide);
+  const payload = { v: 1, ...(deckId ? { d: deckId } : { n: deckName }), m: {}, s: {}, x: {} };
+
+  const encodeZone = (zone, config, base) => {
+    const key = zone === "main" ? "m" : "s";
+    config.forEach((entry, i) => {
+      const baseEntry = base[i];
+      if (!baseEntry || !sameCard(baseEntry.card, entry.card) || (baseEntry.count || 1) !== (entry.count || 1)) {
+        payload[key][i] = encodeCard(entry.card, entry.count || 1, resolve);
+      }
+      const pool = baseEntry ? baseEntry.flexOptions || [] : defaultOptions(zone, entry.card);
+      const extras = (entry.flexOptions || []).filter((o) => !pool.some((p) => p.name === o.name));
+      if (extras.length) payload.x[`${key}${i}`] = extras.map((o) => encodeCard(o, 1, resolve));
+    });
+  };
+
+  encodeZone("main", mainConfig, baseMain);
+  encodeZone("side", sideConfig, baseSide);
+  if (!Object.keys(payload.x).length) delete payload.x;
+
+  return `${HASH_KEY}=${toBase64Url(JSON.stringify(payload))}`;
+};
+
+/* --------------------------------- Decode --------------------------------- */
+
+// Returns the raw payload, or null when the hash isn't a (valid) share link.
+export const readShareHash = (hash) => {
+  const match = (hash || "").match(new RegExp(`^#?${HASH_KEY}=([A-Za-z0-9_-]+)$`));
+  if (!match) return null;
+  try {
+    const payload = JSON.parse(fromBase64Url(match[1]));
+    if (payload?.v !== 1 || (!payload.d && !payload.n)) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+};
+
+// Rebuild { mainConfig, sideConfig } from a payload on top of the deck file's entries.
+export const applySharePayload = (payload, { baseMain, baseSide, defaultOptions }) => {
+  const resolve = makeResolver(baseMain, baseSide);
+
+  const decodeZone = (zone, base) => {
+    const key = zone === "main" ? "m" : "s";
+    const changes = payload[key] || {};
+    const length = Math.max(base.length, ...Object.keys(changes).map((i) => Number(i) + 1));
+    const config = [];
+
+    for (let i = 0; i < length; i++) {
+      const baseEntry = base[i];
+      let entry;
+      if (changes[i] !== undefined) {
+        const { card, count } = decodeCard(changes[i], resolve);
+        entry = baseEntry
+          ? { ...baseEntry, card, count }
+          : { card, count, locked: false, flexOptions: defaultOptions(zone, card) };
+      } else if (baseEntry) {
+        entry = baseEntry;
+      } else {
+        continue;
+      }
+
+      const extras = (payload.x?.[`${key}${i}`] || []).map((token) => decodeCard(token, resolve).card);
+      if (extras.length) entry = { ...entry, flexOptions: [...(entry.flexOptions || []), ...extras] };
+      config.push(entry);
+    }
+    return config;
+  };
+
+  return { mainConfig: decodeZone("main", baseMain), sideConfig: decodeZone("side", baseSide) };
+};
@@ -0,0 +1,100 @@
+/*
+  Deck statistics for the stats panel: mana curve, colored pips, colored sources, artifact
+  count and role tags, computed from a mainConfig (so flex swaps and sideboard plans show up
+  as soon as they're applied).
+
+  - curve: nonland cards by mana value, 7+ grouped.
+  - pips: colored symbols in mana costs (parseManaCostReq), times copies. A hybrid or
+    Phyrexian symbol counts once for each color it can be paid with ({U/P} -> U).
+  - sources: copies that can make each color, from card-abilities.json; Moxen, City of Brass,
+    Mana Confluence, Black Lotus and Lotus Petal count toward every color they produce.
+  - artifacts: copies with "Artifact" in the type line (Tinker targets, Academy, Mox Opal's
+    metalcraft).
+  - roles: the engine's "selection", "payoff" and "interaction" tags.
+*/
+
+import {
+  isArtifact,
+  isInteraction,
+  isLand,
+  isPayoff,
+  isSelectionSpell,
+  manaColorsProduced,
+  parseCmc,
+  parseManaCostReq
+} from "./mulligan-engine.js";
+
+export const STAT_COLORS = ["W", "U", "B", "R", "G"];
+
+const CURVE_MAX = 7;
+
+export const STAT_ROLES = [
+  { key: "selection", label: "Selection", test: isSelectionSpell },
+  { key: "payoff", label: "Payoffs", test: isPayoff },
+  { key: "interaction", label: "Interaction", test: isInteraction }
+];
+
+const colorPips = (manaCost) => {
+  const req = parseManaCostReq(manaCost);
+  const pips = Object.fromEntries(STAT_COLORS.map((c) => [c, req[c]]));
+  for (const choice of req.choices) {
+    for (const option of choice) {
+      for (const c of STAT_COLORS) if (option[c]) pips[c] += option[c];
+    }
+  }
+  return pips;
+};
+
+export const computeDeckStats = (mainConfig) => {
+  const curve = Array.from({ length: CURVE_MAX + 1 }, (_, mv) => ({ label: mv === CURVE_MAX ? `${mv}+` : `${mv}`, count: 0 }));
+  const pips = Object.fromEntries(STAT_COLORS.map((c) => [c, 0]));
+  const sources = Object.fromEntries([...STAT_COLORS, "C"].map((c) => [c, 0]));
+  const roles = Object.fromEntries(STAT_ROLES.map((r) => [r.key, { count: 0, names: [] }]));
+  let cards = 0;
+  let lands = 0;
+  let manaSources = 0;
+  let artifacts = 0;
+  let totalMv = 0;
+
+  for (const entry of mainConfig) {
+    const { card } = entry;
+    const count = entry.count || 1;
+    cards += count;
+
+    if (isLand(card)) {
+      lands += count;
+    } else {
+      const mv = parseCmc(card.manaCost);
+      curve[Math.min(mv, CURVE_MAX)].count += count;
+      totalMv += mv * count;
+      const cardPips = colorPips(card.manaCost);
+      for (const c of STAT_COLORS) pips[c] += cardPips[c] * count;
+    }
+
+    const produced = manaColorsProduced(card);
+    if (produced.length) manaSources += count;
+    for (const c of produced) sources[c] += count;
+
+    if (isArtifact(card)) artifacts += count;
+
+    for (const role of STAT_ROLES) {
+      if (!role.test(card.name)) continue;
+      roles[role.key].count += count;
+      if (!roles[role.key].names.includes(card.name)) roles[role.key].names.push(card.name);
+    }
+  }
+
+  const spells = cards - lands;
+  return {
+    cards,
+    lands,
+    spells,
+    averageMv: spells ? totalMv / spells : 0,
+    curve,
+    pips,
+    sources,
+    manaSources,
+    artifacts,
+    roles
+  };
+};
@@ -0,0 +1,115 @@
+/*
+  Browser persistence for deck edits (localStorage).
+
+  - Working state: the current mainConfig/sideConfig per deck id, saved on every change so
+    flex swaps, added cards and custom flex options survive a reload.
+  - Snapshots: named copies of the working state per deck ("vs Shops", "vs Dredge", ...).
+  - Sideboard plans: the per-matchup in/out plans made in the app, per deck id.
+  - Scoring profiles: the mulligan engine weights/thresholds changed in the app, per deck id.
+  - Imported decks: decks brought in through the Import dialog, so their ids stay valid.
+
+  Every read tolerates a missing or corrupt entry (and no localStorage at all) by falling
+  back to the empty value; writes that fail (quota, private mode) are ignored.
+*/
+
+const PREFIX = "vintagedeck";
+
+const readJson = (key, fallback) => {
+  try {
+    const raw = globalThis.localStorage?.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    globalThis.localStorage?.setItem(key, JSON.stringify(value));
+  } catch {
+    // Storage full or unavailable: the edit still applies for this session.
+  }
+};
+
+const removeKey = (key) => {
+  try {
+    globalThis.localStorage?.removeItem(key);
+  } catch {
+    // ignore
+  }
+};
+
+const workingKey = (deckId) => `${PREFIX}:working:${deckId}`;
+const snapshotsKey = (deckId) => `${PREFIX}:snapshots:${deckId}`;
+const plansKey = (deckId) => `${PREFIX}:sideboard-plans:${deckId}`;
+const scoringKey = (deckId) => `${PREFIX}:scoring-profile:${deckId}`;
+const importedKey = `${PREFIX}:imported-decks`;
+
+const isConfig = (v) => v && Array.isArray(v.mainConfig) && Array.isArray(v.sideConfig);
+
+/* ------------------------------ Working state ----------------------------- */
+
+export const loadWorkingConfig = (deckId) => {
+  const saved = readJson(workingKey(deckId), null);
+  return isConfig(saved) ? saved : null;
+};
+
+export const saveWorkingConfig = (deckId, { mainConfig, sideConfig }) =>
+  writeJson(workingKey(deckId), { mainConfig, sideConfig });
+
+export const clearWorkingConfig = (deckId) => removeKey(workingKey(deckId));
+
+/* -------------------------------- Snapshots ------------------------------- */
+
+// [{ name, savedAt, mainConfig, sideConfig }], newest first.
+export const loadSnapshots = (deckId) => {
+  const saved = readJson(snapshotsKey(deckId), []);
+  return Array.isArray(saved) ? saved.filter((s) => s && s.name && isConfig(s)) : [];
+};
+
+// Saving under an existing name replaces that snapshot.
+export const saveSnapshot = (deckId, name, { mainConfig, sideConfig }) => {
+  const rest = loadSnapshots(deckId).filter((s) => s.name !== name);
+  const snapshots = [{ name, savedAt: new Date().toISOString(), mainConfig, sideConfig }, ...rest];
+  writeJson(snapshotsKey(deckId), snapshots);
+  return snapshots;
+};
+
+export const deleteSnapshot = (deckId, name) => {
+  const snapshots = loadSnapshots(deckId).filter((s) => s.name !== name);
+  writeJson(snapshotsKey(deckId), snapshots);
+  return snapshots;
+};
+
+/* ----------------------------- Sideboard plans ---------------------------- */
+
+// null when nothing was saved yet, so the deck file's own plans can be used instead.
+export const loadSideboardPlans = (deckId) => {
+  const saved = readJson(plansKey(deckId), null);
+  return Array.isArray(saved) ? saved.filter((p) => p && p.name) : null;
+};
+
+export const saveSideboardPlans = (deckId, plans) => writeJson(plansKey(deckId), plans);
+
+/* ---------------------------- Scoring profiles ---------------------------- */
+
+// The partial profile (only what differs from the defaults); null when nothing was saved, so the
+// deck file's own profile can be used instead.
+export const loadScoringProfile = (deckId) => {
+  const saved = readJson(scoringKey(deckId), null);
+  return saved && typeof saved === "object" && !Array.isArray(saved) ? saved : null;
+};
+
+export const saveScoringProfile = (deckId, profile) => writeJson(scoringKey(deckId), profile);
+
+export const clearScoringProfile = (deckId) => removeKey(scoringKey(deckId));
+
+/* ------------------------------ Imported decks ---------------------------- */
+
+// [{ id, data }] in the same shape App keeps them in.
+export const loadImportedDecks = () => {
+  const saved = readJson(importedKey, []);
+  return Array.isArray(saved) ? saved.filter((d) => d && d.id && d.data && Array.isArray(d.data.mainboard)) : [];
+};
+
+export const saveImportedDecks = (decks) => writeJson(importedKey, decks);
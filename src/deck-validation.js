@@ -0,0 +1,68 @@
+/*
+  Vintage deck legality: checks the working 60/15 against the banned/restricted list in
+  vintage-banned-restricted.json (versioned, so a B&R update is a data change).
+
+  Copies are counted across mainboard + sideboard together, as the tournament rules do:
+  - banned cards (and Conspiracy cards) may not be played at all;
+  - restricted cards are limited to one copy;
+  - everything else to four, except basic lands and "any number" / "up to N" cards.
+  Deck size is left to deckSizeProblems in sideboard-plans.js, which also knows about
+  post-board lists.
+
+  validateDeck returns { problems, cardIssues }: problems are the summary lines for the
+  banner, cardIssues maps a card name to { status, message } for marking its CardCell.
+*/
+
+import banList from "./vintage-banned-restricted.json";
+
+export const BAN_LIST_VERSION = banList.version;
+
+const MAX_COPIES = 4;
+
+const restricted = new Set(banList.restricted);
+const banned = new Set(banList.banned);
+const anyNumber = new Set(banList.anyNumber);
+
+const isBannedType = (card) => banList.bannedTypes.some((type) => (card.typeLine || "").includes(type));
+
+// "restricted" | "banned" | "legal" — for display next to a card name.
+export const cardLegality = (card) => {
+  if (banned.has(card.name) || isBannedType(card)) return "banned";
+  if (restricted.has(card.name)) return "restricted";
+  return "legal";
+};
+
+// How many copies the rules allow (Infinity for basics and "any number" cards).
+const copyLimit = (card) => {
+  const legality = cardLegality(card);
+  if (legality === "banned") return 0;
+  if (legality === "restricted") return 1;
+  if (/\bBasic\b/.test(card.typeLine || "") || anyNumber.has(card.name)) return Infinity;
+  return banList.upTo[card.name] || MAX_COPIES;
+};
+
+export const validateDeck = ({ mainConfig, sideConfig }) => {
+  const problems = [];
+  const cardIssues = {};
+
+  const copies = new Map();
+  for (const entry of [...mainConfig, ...sideConfig]) {
+    const seen = copies.get(entry.card.name);
+    copies.set(entry.card.name, { card: entry.card, count: (seen?.count || 0) + (entry.count || 1) });
+  }
+
+  for (const { card, count } of copies.values()) {
+    const limit = copyLimit(card);
+    if (count <= limit) continue;
+
+    const status = cardLegality(card);
+    const message =
+      status === "banned"
+        ? `${card.name} is banned in Vintage.`
+        : `${count} copies of ${card.name} (${status === "restricted" ? "restricted to 1" : `limit ${limit}`}).`;
+    cardIssues[card.name] = { status: status === "legal" ? "too-many" : status, message };
+    problems.push(message);
+  }
+
+  return { problems, cardIssues };
+};
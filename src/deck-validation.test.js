@@ -0,0 +1,34 @@
+import { describe, expect, it } from "vitest";
+
+import cardDatabase from "./card-database.json";
+import { cardLegality, validateDeck } from "./deck-validation.js";
+
+const entry = (name, typeLine, count = 1) => ({ card: { name, manaCost: "", typeLine }, count });
+
+describe("card database legalities", () => {
+  it("agree with the banned/restricted list", () => {
+    for (const [name, card] of Object.entries(cardDatabase)) {
+      expect([name, card.legalities.vintage]).toEqual([name, cardLegality({ name, typeLine: card.typeLine })]);
+    }
+  });
+});
+
+describe("validateDeck", () => {
+  it("counts copies across mainboard and sideboard", () => {
+    const { cardIssues } = validateDeck({
+      mainConfig: [entry("Force of Will", "Instant", 4), entry("Black Lotus", "Artifact")],
+      sideConfig: [entry("Force of Will", "Instant"), entry("Black Lotus", "Artifact")]
+    });
+    expect(cardIssues["Force of Will"].status).toBe("too-many");
+    expect(cardIssues["Black Lotus"].status).toBe("restricted");
+  });
+
+  it("flags banned cards and Conspiracies, and leaves basics alone", () => {
+    const { problems, cardIssues } = validateDeck({
+      mainConfig: [entry("Island", "Basic Land — Island", 20), entry("Chaos Orb", "Artifact"), entry("Double Stroke", "Conspiracy")],
+      sideConfig: []
+    });
+    expect(Object.keys(cardIssues).sort()).toEqual(["Chaos Orb", "Double Stroke"]);
+    expect(problems).toHaveLength(2);
+  });
+});
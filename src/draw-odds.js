@@ -0,0 +1,66 @@
+/*
+  Exact draw odds for the probability calculator: the chance of seeing at least one card from
+  each of a few groups ("Time Vault" and "a Key", or "any tutor") by a given turn, from the
+  current deck composition.
+
+  A group is a list of card names; a card may sit in more than one group. With n cards seen,
+  inclusion–exclusion over the groups turns P(every group hit) into plain hypergeometric misses:
+    P(all hit) = Σ over subsets S of (−1)^|S| · P(no card of any group in S)
+
+  Mulligans: keep a 7 that hits every group, otherwise mulligan (London) up to `mulligans`
+  times and keep the last hand whatever it holds. The cards put on the bottom never have to be
+  group cards (a kept hand still has 5+ cards for at most MAX_GROUPS groups), so the last hand
+  plays like a fresh 7:
+    P = 1 − q^m · (1 − P(n cards seen))   with q = P(a 7 misses some group)
+*/
+
+export const MAX_GROUPS = 3;
+export const MAX_MULLIGANS = 2;
+
+// Cards seen by `turn` (0 = the opening hand): no draw on turn 1 on the play.
+export const cardsSeen = (turn, onPlay) => 7 + Math.max(0, onPlay ? turn - 1 : turn);
+
+// Chance that none of `hits` copies is among `seen` cards drawn from `deckSize`.
+const missChance = (deckSize, hits, seen) => {
+  let p = 1;
+  for (let i = 0; i < seen; i++) {
+    if (deckSize - i <= 0) break;
+    p *= Math.max(0, deckSize - hits - i) / (deckSize - i);
+  }
+  return p;
+};
+
+// counts: { name: copies } for the whole deck.
+const allGroupsChance = (counts, deckSize, groups, seen) => {
+  let p = 0;
+  for (let mask = 0; mask < 1 << groups.length; mask++) {
+    const names = new Set();
+    let size = 0;
+    groups.forEach((group, i) => {
+      if (!(mask & (1 << i))) return;
+      size++;
+      for (const name of group) names.add(name);
+    });
+    const hits = [...names].reduce((sum, name) => sum + (counts[name] || 0), 0);
+    p += (size % 2 ? -1 : 1) * missChance(deckSize, hits, seen);
+  }
+  return Math.min(1, Math.max(0, p));
+};
+
+export const deckCounts = (mainConfig) => {
+  const counts = {};
+  for (const entry of mainConfig) counts[entry.card.name] = (counts[entry.card.name] || 0) + (entry.count || 1);
+  return counts;
+};
+
+// P(at least one card of every group by `turn`). Empty groups can't be hit; no groups is 0.
+export const groupHitChance = ({ mainConfig, groups, turn, onPlay, mulligans = 0 }) => {
+  if (!groups.length) return 0;
+  const counts = deckCounts(mainConfig);
+  const deckSize = Object.values(counts).reduce((sum, n) => sum + n, 0);
+
+  const byTurn = allGroupsChance(counts, deckSize, groups, cardsSeen(turn, onPlay));
+  if (!mulligans) return byTurn;
+  const sevenMisses = 1 - allGroupsChance(counts, deckSize, groups, 7);
+  return 1 - sevenMisses ** mulligans * (1 - byTurn);
+};
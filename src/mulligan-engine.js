@@ -0,0 +1,1668 @@
+/*
+  Goals of this cleanup:
+  - Fix actual broken React/JS (there were syntax errors in setNewCardInput).
+  - Remove "made up" mana sources / land names and incorrect card rules assumptions.
+  - Make mulligan evaluation closer to how Vintage hands actually function:
+    we try to find a plausible T1 line (play mana, deploy a payoff, cast a cantrip/tutor, etc.).
+
+  This is still a heuristic tool — not a full MTG rules engine — but it should stop saying
+  obviously-wrong things (e.g. pretending you have Underground Sea / fetchlands, or that
+  Trinket Mage costs UU1).
+
+  The engine is kept free of React so the same code can run inside the keep-rate Web Worker.
+*/
+
+import cardAbilities from "./card-abilities.json";
+import { DEFAULT_SCORING_PROFILE } from "./scoring-profile.js";
+
+/* ----------------------------- Small utilities ---------------------------- */
+
+const uniqId = (() => {
+  let n = 0;
+  return () => `${Date.now()}-${++n}`;
+})();
+
+export const isLand = (card) => (card?.typeLine || "").toLowerCase().includes("land");
+export const isArtifact = (card) => (card?.typeLine || "").toLowerCase().includes("artifact");
+
+export const parseCmc = (manaCost) => {
+  if (!manaCost) return 0;
+  const symbols = manaCost.match(/\{([^}]+)\}/g);
+  if (!symbols) return 0;
+
+  let total = 0;
+  for (const sym of symbols) {
+    const content = sym.slice(1, -1);
+
+    if (/^\d+$/.test(content)) {
+      total += parseInt(content, 10);
+      continue;
+    }
+
+    // Hybrid / phyrexian: {U/P}, {2/W}, etc.
+    if (content.includes("/")) {
+      const [a] = content.split("/");
+      total += a === "2" ? 2 : 1;
+      continue;
+    }
+
+    // X/Y/Z treated as 0 for MV display.
+    if (content === "X" || content === "Y" || content === "Z") {
+      total += 0;
+      continue;
+    }
+
+    // {C} counts as 1; colored symbols count as 1.
+    total += 1;
+  }
+
+  return total;
+};
+
+// Deterministic [0, 1) generator (mulberry32) for seeded shuffles, so two configurations can be
+// dealt the same shuffles.
+export const seededRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const shuffle = (arr, random = Math.random) => {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+};
+
+/* --------------------------- Deck helpers --------------------------- */
+
+export const buildDeckIndex = (deck) => {
+  const main = new Map();
+  const side = new Map();
+
+  for (const e of deck?.mainboard || []) {
+    main.set(e.card.name, { ...e, count: e.count || 1 });
+  }
+  for (const e of deck?.sideboard || []) {
+    side.set(e.card.name, { ...e, count: e.count || 1 });
+  }
+
+  return {
+    hasInMain: (name) => main.has(name),
+    hasInSide: (name) => side.has(name),
+    mainEntries: () => Array.from(main.values()),
+    sideEntries: () => Array.from(side.values())
+  };
+};
+
+/* ---------------------------- MTG-ish engine ----------------------------- */
+
+// We track a *mana pool* with:
+// - WUBRG: colored
+// - C: strictly colorless (for {C} requirements)
+// - flex: "any color" mana (can pay colored or generic, but NOT {C})
+// - CA: colorless mana that can only be spent on artifact spells (Mishra's Workshop)
+const STARTING_LIFE = 20;
+
+const emptyPool = () => ({ W: 0, U: 0, B: 0, R: 0, G: 0, C: 0, flex: 0, CA: 0 });
+
+const POOL_KEYS = ["W", "U", "B", "R", "G", "C", "flex", "CA"];
+
+const addPool = (p, add) => ({
+  W: p.W + (add.W || 0),
+  U: p.U + (add.U || 0),
+  B: p.B + (add.B || 0),
+  R: p.R + (add.R || 0),
+  G: p.G + (add.G || 0),
+  C: p.C + (add.C || 0),
+  flex: p.flex + (add.flex || 0),
+  CA: p.CA + (add.CA || 0)
+});
+
+// Mana usable for anything; artifact-only mana (CA) is left out.
+const sumMana = (p) => p.W + p.U + p.B + p.R + p.G + p.C + p.flex;
+
+// A cost splits into fixed symbols (generic, WUBRG, C), `choices` and `x`:
+// - choices: one list of alternatives per hybrid / Phyrexian symbol. {W/U} → [{W:1}, {U:1}],
+//   {2/W} → [{generic:2}, {W:1}], {U/P} → [{U:1}, {life:2}], {W/U/P} → [{W:1}, {U:1}, {life:2}].
+// - x: how many X symbols there are ({X}{X} → 2); the caster picks the value.
+export const parseManaCostReq = (manaCost) => {
+  const req = { generic: 0, W: 0, U: 0, B: 0, R: 0, G: 0, C: 0, choices: [], x: 0 };
+  if (!manaCost) return req;
+
+  const symbols = manaCost.match(/\{([^}]+)\}/g);
+  if (!symbols) return req;
+
+  for (const sym of symbols) {
+    const c = sym.slice(1, -1);
+    if (/^\d+$/.test(c)) {
+      req.generic += parseInt(c, 10);
+      continue;
+    }
+    if (c === "X" || c === "Y" || c === "Z") {
+      req.x += 1;
+      continue;
+    }
+    if (c === "C") {
+      req.C += 1;
+      continue;
+    }
+    if (c.includes("/")) {
+      req.choices.push(
+        c.split("/").map((half) => (half === "P" ? { life: 2 } : /^\d+$/.test(half) ? { generic: parseInt(half, 10) } : { [half]: 1 }))
+      );
+      continue;
+    }
+    if (c === "W") req.W += 1;
+    else if (c === "U") req.U += 1;
+    else if (c === "B") req.B += 1;
+    else if (c === "R") req.R += 1;
+    else if (c === "G") req.G += 1;
+    else req.generic += 1;
+  }
+
+  return req;
+};
+
+const MANA_KEYS = ["generic", "W", "U", "B", "R", "G", "C"];
+
+// Every concrete way to pay a cost: [{ req: { generic, W..G, C }, life, x }], one per combination
+// of hybrid/Phyrexian halves and X value (0..maxX). Duplicates (e.g. {U/P}{U/P} paid U + life
+// either way round) are dropped.
+export const costOptions = (manaCost, maxX = 0) => {
+  const parsed = parseManaCostReq(manaCost);
+  let options = [{ req: Object.fromEntries(MANA_KEYS.map((k) => [k, parsed[k]])), life: 0, x: 0 }];
+
+  for (const alternatives of parsed.choices) {
+    options = options.flatMap((o) =>
+      alternatives.map((alt) => ({
+        ...o,
+        req: Object.fromEntries(MANA_KEYS.map((k) => [k, o.req[k] + (alt[k] || 0)])),
+        life: o.life + (alt.life || 0)
+      }))
+    );
+  }
+
+  if (parsed.x) {
+    options = options.flatMap((o) =>
+      Array.from({ length: maxX + 1 }, (_, x) => ({ ...o, req: { ...o.req, generic: o.req.generic + x * parsed.x }, x }))
+    );
+  }
+
+  const seen = new Set();
+  return options.filter((o) => {
+    const key = `${MANA_KEYS.map((k) => o.req[k]).join(",")}|${o.life}|${o.x}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// canPay / pay take either a mana cost string (no life payment, X = 0) or a concrete `req`
+// from costOptions. `artifact` says whether we're casting an artifact spell (CA mana counts).
+const toReq = (cost) => (typeof cost === "string" ? costOptions(cost)[0].req : cost);
+
+export const canPay = (pool, cost, artifact = false) => {
+  const req = toReq(cost);
+
+  // Copy pool so we can "spend" while checking. For artifact spells CA works like C.
+  const p = artifact ? { ...pool, C: pool.C + pool.CA, CA: 0 } : { ...pool };
+
+  // 1) Pay strict colorless {C} ONLY from C.
+  if (p.C < req.C) return false;
+  p.C -= req.C;
+
+  // 2) Pay colored requirements from matching colors, then flex.
+  for (const col of ["W", "U", "B", "R", "G"]) {
+    const need = req[col];
+    if (!need) continue;
+    const fromCol = Math.min(p[col], need);
+    p[col] -= fromCol;
+    const remain = need - fromCol;
+    if (remain > 0) {
+      if (p.flex < remain) return false;
+      p.flex -= remain;
+    }
+  }
+
+  // 3) Pay generic from everything remaining.
+  const availableGeneric = p.W + p.U + p.B + p.R + p.G + p.flex + p.C;
+  return availableGeneric >= req.generic;
+};
+
+// Every pool that can be left after paying `req` (deduplicated). Colored symbols come out of
+// their own color or flex, generic out of anything; {C} only out of C (or CA for artifacts).
+const paymentResults = (pool, req, artifact = false) => {
+  if (!canPay(pool, req, artifact)) return [];
+
+  const dedupe = (pools) => {
+    const byKey = new Map();
+    for (const p of pools) byKey.set(POOL_KEYS.map((k) => p[k]).join(","), p);
+    return Array.from(byKey.values());
+  };
+  const spend = (p, k) => (p[k] > 0 ? [{ ...p, [k]: p[k] - 1 }] : []);
+
+  const colorless = artifact ? ["C", "CA"] : ["C"];
+  const genericKeys = artifact ? POOL_KEYS : POOL_KEYS.filter((k) => k !== "CA");
+
+  let pools = [{ ...pool }];
+  for (let i = 0; i < req.C; i++) pools = dedupe(pools.flatMap((p) => colorless.flatMap((k) => spend(p, k))));
+  for (const col of ["W", "U", "B", "R", "G"]) {
+    for (let i = 0; i < req[col]; i++) pools = dedupe(pools.flatMap((p) => [...spend(p, col), ...spend(p, "flex")]));
+  }
+  for (let i = 0; i < req.generic; i++) pools = dedupe(pools.flatMap((p) => genericKeys.flatMap((k) => spend(p, k))));
+
+  return pools;
+};
+
+const handCostOptions = new Map();
+const cachedCostOptions = (manaCost) => {
+  if (!handCostOptions.has(manaCost)) handCostOptions.set(manaCost, costOptions(manaCost));
+  return handCostOptions.get(manaCost);
+};
+
+// How useful a leftover pool is for the cards still in hand: first how many of them it could
+// still pay for on its own, then flex over colored over C over artifact-only C, then color variety.
+const poolValue = (p, hand) => {
+  const payable = hand.filter(
+    (c) =>
+      castsInSearch(c.name) &&
+      !isLand(c) &&
+      cachedCostOptions(c.manaCost || "").some((o) => canPay(p, o.req, isArtifact(c)))
+  ).length;
+  const colored = p.W + p.U + p.B + p.R + p.G;
+  const colors = ["W", "U", "B", "R", "G"].filter((k) => p[k] > 0).length;
+  return payable * 10000 + p.flex * 1000 + colored * 100 + colors * 10 + p.C;
+};
+
+// Payment solver: out of every way to pay, keep the leftover pool that is worth the most for
+// `hand` (the cards we may still cast this turn). mulligan-engine.test.js has the lines a fixed
+// spending order gets wrong.
+export const pay = (pool, cost, hand = [], artifact = false) => {
+  const results = paymentResults(pool, toReq(cost), artifact);
+  let best = results[0];
+  let bestValue = -Infinity;
+  for (const p of results) {
+    const value = poolValue(p, hand);
+    if (value > bestValue) {
+      best = p;
+      bestValue = value;
+    }
+  }
+  return best;
+};
+
+/* ----------------------------- Card registry ----------------------------- */
+
+// What each card does for the engine lives in card-abilities.json, keyed by card name:
+// - mana: list of mana abilities, each { produces: "W".."G" | "C" | "any", amount: n | "artifacts" }
+//   plus optional sacrifice (one-shot, e.g. Lotus), lifeCost, requires ("metalcraft") and
+//   spendOn ("artifacts": Mishra's Workshop).
+// - roles: "cast" (the T1 search tries to cast it), "interaction", "selection", "payoff".
+// - resolve: name of a resolution effect implemented in simulateTurn (resolveEffects).
+// - pitch: alternative cost of exiling a card of a color from hand ({ exile: "U" }), plus
+//   optional lifeCost and notOnYourTurn (Force of Negation).
+// - lore: Saga chapters by lore count, naming engine effects ({ "2": "makeConstruct", ... });
+//   the permanent gets a lore counter when it enters and one more each turn.
+// - stripLand: "{T}, sacrifice: destroy target land" (Strip Mine), used on the opponent's lands.
+// - untap: untaps tapped artifacts, either a tap ability ({ cost: "{1}" }, Voltaic Key) or a
+//   loyalty ability ({ loyalty: 1, targets: 2 }, Tezzeret the Seeker); targets defaults to 1.
+// - loyalty: starting loyalty of a planeswalker. entersTapped / noUntap: Time Vault, Mana Vault.
+// - upkeep: { damageIfTapped: n } (Mana Vault) or { coinFlipDamage: n } (Mana Crypt), resolved
+//   between goldfish turns.
+// - tutor: searches the library ({ to: "hand" | "top", find?: "instantOrSorcery" | "artifactMv1",
+//   lifeCost? }) or puts it onto the battlefield ({ to: "battlefield", find: "artifact", sacrifice:
+//   "artifact" } for Tinker); the search tries the few best targets for the line (see cardValue).
+// - draw: draws from the top of the library ({ count, look?, putBack? }): Ponder looks at 3 and
+//   draws 1, Brainstorm draws 3 and puts 2 back.
+// - threat: how the line scores it: "win" on the battlefield (Blightsteel Colossus), "big" cast
+//   or on the battlefield (Karn, Trinisphere, Timetwister...), "balance" held with the hand dumped.
+// - extraTurn: "tap" (Time Vault; with an `untap` card out that's infinite turns) or "cast" (Time Walk).
+// - ultimate: a planeswalker's lethal minus ability ({ loyalty: 5, artifacts: 4 }, Tezzeret the Seeker).
+// - fetchThreat: a tutor filter (see `tutor`) for the "big" artifact it fetches (Tezzeret, Cruel Captain).
+// Lands without an entry tap for {C}; anything else without one is ignored by the search.
+const abilitiesOf = (name) => cardAbilities[name] || {};
+
+const hasRole = (name, role) => (abilitiesOf(name).roles || []).includes(role);
+
+const threatOf = (name) => abilitiesOf(name).threat;
+
+const manaAbilities = (card) => {
+  const { mana } = abilitiesOf(card.name);
+  if (mana) return mana;
+  return isLand(card) ? [{ produces: "C", amount: 1 }] : [];
+};
+
+// Mana sources that stay on the battlefield (Moxen, Sol Ring...), as opposed to Lotus/Petal.
+const isPermanentManaSource = (card) => manaAbilities(card).some((m) => !m.sacrifice);
+
+// Rocks making 2+ mana at once (Sol Ring, Mana Crypt, Mana Vault) — the best targets for an untap.
+const isBigManaRock = (card) =>
+  isArtifact(card) && manaAbilities(card).some((m) => !m.sacrifice && typeof m.amount === "number" && m.amount >= 2);
+
+// Colors a card can make mana of, "C" included and "any" counted as all five (City of Brass,
+// Lotus); [] when it isn't a mana source. Used by the deck statistics.
+export const manaColorsProduced = (card) => {
+  const colors = new Set();
+  for (const m of manaAbilities(card)) {
+    if (m.produces === "any") ["W", "U", "B", "R", "G"].forEach((c) => colors.add(c));
+    else colors.add(m.produces);
+  }
+  return [...colors];
+};
+
+const castsInSearch = (name) => hasRole(name, "cast");
+
+export const isInteraction = (name) => hasRole(name, "interaction");
+
+export const isSelectionSpell = (name) => hasRole(name, "selection");
+
+export const isPayoff = (name) => hasRole(name, "payoff");
+
+const hasColor = (card, color) => new RegExp(`\\{[^}]*${color}[^}]*\\}`).test(card.manaCost || "");
+
+// Counterspells in `hand` we could cast for free by exiling another card, and what each one
+// pitches: { count, pitches: [{ counter, pitch }] }. Spare cards are pitched before other
+// counters; two counters can still pay for each other (one of them is held).
+export const freeCounters = (hand, { life = STARTING_LIFE, yourTurn = true } = {}) => {
+  const counters = [];
+  for (const c of hand) {
+    const pitch = abilitiesOf(c.name).pitch;
+    if (pitch && !(pitch.notOnYourTurn && yourTurn)) counters.push({ card: c, pitch });
+  }
+
+  // Cards the engine has no use for go first, then the ones with the fewest roles.
+  const fodder = hand
+    .filter((c) => !counters.some((k) => k.card === c))
+    .sort((a, b) => (abilitiesOf(a.name).roles || []).length - (abilitiesOf(b.name).roles || []).length);
+  const unpaid = [];
+  const pitches = [];
+  let lifeLeft = life;
+
+  for (const { card, pitch } of counters) {
+    if (pitch.lifeCost && lifeLeft <= pitch.lifeCost) continue;
+    const i = fodder.findIndex((f) => hasColor(f, pitch.exile));
+    if (i < 0) {
+      unpaid.push({ card, pitch });
+      continue;
+    }
+    pitches.push({ counter: card.name, pitch: fodder[i].name });
+    fodder.splice(i, 1);
+    lifeLeft -= pitch.lifeCost || 0;
+  }
+
+  // Leftover counters pair up: one is exiled to pay for the other.
+  while (unpaid.length >= 2) {
+    const held = unpaid.shift();
+    const i = unpaid.findIndex((u) => hasColor(u.card, held.pitch.exile));
+    if (i < 0 || (held.pitch.lifeCost && lifeLeft <= held.pitch.lifeCost)) continue;
+    pitches.push({ counter: held.card.name, pitch: unpaid[i].card.name });
+    unpaid.splice(i, 1);
+    lifeLeft -= held.pitch.lifeCost || 0;
+  }
+
+  return { count: pitches.length, pitches };
+};
+
+// A card put onto the battlefield from hand or library: Time Vault enters tapped, planeswalkers
+// with a registered starting loyalty get it.
+const enterBattlefield = (card) => {
+  const { entersTapped, loyalty } = abilitiesOf(card.name);
+  return { ...card, ...(loyalty ? { loyalty } : {}), _id: uniqId(), tapped: !!entersTapped, zone: "battlefield" };
+};
+
+// Urza's Saga's chapter III target: an artifact with mana cost {0} or {1} from the library.
+// Key when Vault is out, else the biggest rock, else any mana source, else whatever is left.
+const cheapArtifactTarget = (library, battlefield) => {
+  const candidates = library.filter((c) => isArtifact(c) && /^\{[01]\}$/.test(c.manaCost || ""));
+
+  const vaultOut = battlefield.some((c) => abilitiesOf(c.name).extraTurn === "tap");
+  const rank = (c) => {
+    if (vaultOut && abilitiesOf(c.name).untap?.cost) return 3;
+    if (isBigManaRock(c)) return 2;
+    return isPermanentManaSource(c) ? 1 : 0;
+  };
+  return [...candidates].sort((a, b) => rank(b) - rank(a))[0] || null;
+};
+
+// What separates a runner-up line from the best one: per breakdown item, the points it has
+// more (+) or fewer (−) than the best line, biggest difference first.
+const scoreDifference = (breakdown, bestBreakdown) => {
+  const keys = new Set([...breakdown, ...bestBreakdown].map((b) => b.key));
+  const pointsOf = (list, key) => list.find((b) => b.key === key)?.points || 0;
+  return [...keys]
+    .map((key) => {
+      const item = breakdown.find((b) => b.key === key) || bestBreakdown.find((b) => b.key === key);
+      return { key, label: item.label, points: pointsOf(breakdown, key) - pointsOf(bestBreakdown, key) };
+    })
+    .filter((d) => d.points)
+    .sort((a, b) => Math.abs(b.points) - Math.abs(a.points));
+};
+
+// The top `count` other lines the search scored. A line that only casts some of the best line's
+// spells off the same land is just the best line stopped early, so it isn't listed.
+const runnerUpLines = (lines, best, count) => {
+  const bestCast = best.final.cast;
+  const stoppedEarly = (state) =>
+    state.landName === best.final.landName && state.cast.every((name) => bestCast.includes(name));
+
+  return [...lines.values()]
+    .filter(({ state }) => !stoppedEarly(state))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, count)
+    .map(({ score, tier, breakdown, state }) => ({
+      score,
+      tier,
+      breakdown,
+      line: state.notes,
+      versusBest: scoreDifference(breakdown, best.breakdown)
+    }));
+};
+
+export const describeBackup = (backup) => backup.pitches.map((p) => `${p.counter} pitching ${p.pitch}`).join(", ");
+
+// Extremely small "T1 action search".
+// We don't try to model the stack or every possible play — just enough sequencing to avoid obvious nonsense.
+// `battlefield` holds permanents carried over from earlier turns (already untapped); turn 1 starts empty.
+// `life` is our life total going into the turn; City of Brass-style lands and Phyrexian mana spend it.
+// `opponentLands` is how many lands the (goldfish) opponent has for Strip Mine to hit.
+// `library` is the rest of the deck, top card first; tutors search it and draw spells draw from it.
+// `upkeep` holds notes from the untap and upkeep steps (Mana Crypt flips...) to start the line with.
+// `opponent` is an archetype from opponent-archetypes.json; its `disruption` taxes or stops spells
+// and artifact abilities and sets how likely the line is to be countered (see scoreState). We're
+// on the play, so its permanents (tax, Chalice, Null Rod) only apply from our turn 2; counters
+// are in hand and apply from turn 1.
+// `alternatives` is how many runner-up lines to return next to the best one (for the UI; the
+// simulations leave it at 0). `profile` (see scoring-profile.js) holds the scoring weights.
+const simulateTurn = ({
+  hand,
+  deckIndex,
+  library,
+  battlefield = [],
+  turn = 1,
+  life = STARTING_LIFE,
+  opponentLands = 0,
+  upkeep = [],
+  opponent = null,
+  alternatives = 0,
+  profile = DEFAULT_SCORING_PROFILE
+}) => {
+  const w = profile.weights;
+  const initialHand = hand.map((c) => ({ ...c }));
+  const disruption = opponent?.disruption || {};
+  const opponentHasPermanents = turn > 1;
+
+  // Sphere of Resistance / Thorn of Amethyst style taxes, in extra generic mana.
+  const taxOf = (card) => {
+    if (!opponentHasPermanents) return 0;
+    const { spells = 0, noncreature = 0 } = disruption.tax || {};
+    return spells + (/creature/i.test(card.typeLine || "") ? 0 : noncreature);
+  };
+  // Chalice of the Void counters every spell with that mana value, so we never cast into it.
+  const chaliced = (card) =>
+    opponentHasPermanents && disruption.chalice !== undefined && !isLand(card) && parseCmc(card.manaCost) === disruption.chalice;
+  // Null Rod: artifacts' activated abilities (Moxen, Keys, Time Vault) can't be activated.
+  const abilitiesStopped = (perm) => opponentHasPermanents && !!disruption.nullRod && isArtifact(perm);
+
+  // Pre-play all 0-mana artifacts (they're never worse to have as artifacts-in-play; lotus/petal can stay uncracked).
+  // Taxed or Chaliced ones stay in hand for the search to pay for (or not).
+  const battlefieldBase = [...battlefield];
+  const freeArtifacts = [];
+  const remainingHandBase = [];
+  for (const c of initialHand) {
+    const cmc = isLand(c) ? null : parseCmc(c.manaCost);
+    if (isArtifact(c) && cmc === 0 && !taxOf(c) && !chaliced(c)) {
+      freeArtifacts.push(c.name);
+      battlefieldBase.push({ ...c, _id: uniqId(), tapped: false, zone: "battlefield" });
+    } else {
+      remainingHandBase.push({ ...c });
+    }
+  }
+
+  // Saga chapters reached this turn (lore counters were added in the untap step). Urza's Saga's
+  // last chapter fetches a {0}/{1} artifact straight onto the battlefield; we tap the Saga for its
+  // {C} in response before it's sacrificed.
+  const startPool = emptyPool();
+  const sagaNotes = [];
+  let libraryBase = library;
+  for (const saga of battlefield) {
+    const chapters = abilitiesOf(saga.name).lore;
+    if (!chapters) continue;
+    const last = Math.max(...Object.keys(chapters).map(Number));
+    if ((saga.lore || 0) < last) continue;
+
+    if (!saga.tapped) startPool.C += 1;
+    const i = battlefieldBase.findIndex((c) => c._id === saga._id);
+    battlefieldBase.splice(i, 1);
+    if (chapters[last] === "fetchCheapArtifact") {
+      const target = cheapArtifactTarget(libraryBase, battlefieldBase);
+      if (target) {
+        const j = libraryBase.indexOf(target);
+        libraryBase = [...libraryBase.slice(0, j), ...libraryBase.slice(j + 1)];
+        battlefieldBase.push(enterBattlefield(target));
+      }
+      sagaNotes.push(`${saga.name} chapter III (tap for C first): ${target ? `fetch ${target.name}` : "no artifact left to fetch"}, sacrifice ${saga.name}`);
+    }
+  }
+
+  const landsInHand = remainingHandBase.filter(isLand);
+  const nonLandsBase = remainingHandBase.filter((c) => !isLand(c));
+
+  const landChoices = landsInHand.length ? landsInHand : [null];
+
+  const best = {
+    score: -Infinity,
+    tier: 0,
+    notes: [],
+    flags: {},
+    breakdown: [],
+    backup: { count: 0, pitches: [] },
+    counterRisk: 0,
+    final: null
+  };
+
+  // With `alternatives`, the best-scoring state per distinct line (land played + spells cast).
+  const lineKey = (state) => `${state.landName}|${[...state.cast].sort().join("|")}`;
+  const lines = new Map();
+
+  const scoreState = (state) => {
+    const names = new Set(state.battlefield.map((c) => c.name));
+    const handNames = new Set(state.hand.map((c) => c.name));
+    const poolTotal = sumMana(state.pool);
+
+    const vaultReady = state.battlefield.some(
+      (c) => abilitiesOf(c.name).extraTurn === "tap" && !c.tapped && !abilitiesStopped(c)
+    );
+    // A Key or a Tezzeret: anything with an `untap` ability.
+    const hasUntapper = state.battlefield.some((c) => abilitiesOf(c.name).untap);
+
+    // "Virtual win" detectors.
+    // - An untapped Time Vault is an extra turn now; with a Key (or a Tezzeret to +1) on the
+    //   battlefield it untaps again every turn, so that's infinite turns.
+    // - A "win" threat on the battlefield (Blightsteel Colossus off Tinker) is treated as a win line.
+    const infiniteTurns = vaultReady && hasUntapper;
+
+    const tinkerWin = state.battlefield.some((c) => threatOf(c.name) === "win");
+
+    // A planeswalker with an `ultimate` (Tezzeret the Seeker at 5 loyalty) that hasn't been
+    // activated this turn can use it: four or more artifacts become 5/5s, which is lethal from 20.
+    const tezzUltimate = state.battlefield.some((c) => {
+      const ultimate = abilitiesOf(c.name).ultimate;
+      return (
+        ultimate &&
+        !c.loyaltyUsed &&
+        (c.loyalty || 0) >= ultimate.loyalty &&
+        getArtifactsCount(state.battlefield) >= ultimate.artifacts
+      );
+    });
+
+    // Tezzeret Cruel Captain for Vexing Bauble (strong T1 lock piece): a `fetchThreat` card in
+    // hand tutors a "big" artifact its filter matches. Tezzeret (3 any color) → tutor 0-1 cost
+    // artifact (Bauble), cast Bauble (1) = 4 mana.
+    const tezzBauble = state.hand.some((card) => {
+      const find = abilitiesOf(card.name).fetchThreat;
+      if (!find || names.has(card.name)) return false;
+      const isTarget = (c) => threatOf(c.name) === "big" && tutorFilters[find](c);
+      if (state.battlefield.some(isTarget) || state.hand.some(isTarget)) return false;
+      const targets = state.library.filter(isTarget);
+      return targets.length > 0 && poolTotal >= parseCmc(card.manaCost) + Math.min(...targets.map((c) => parseCmc(c.manaCost)));
+    });
+
+    // Tezzeret the Seeker + Time Walk combo
+    // Cast Tezz (UU3 = 5), +1 to untap 2 artifacts, use them for Time Walk (1U), take extra turn, ult Tezz (-5)
+    // Artifacts become 5/5s and swing for lethal (need ~4 artifacts for 20 damage)
+    // Need: the walker's cost, an extra-turn spell in hand, 4+ artifacts total
+    const walker = [...state.hand, ...state.battlefield].find((c) => abilitiesOf(c.name).ultimate);
+    const tezzTimeWalkWin =
+      !!walker &&
+      state.hand.some((c) => abilitiesOf(c.name).extraTurn === "cast") &&
+      canPay(state.pool, walker.manaCost) &&
+      getArtifactsCount(state.battlefield) >= abilitiesOf(walker.name).ultimate.artifacts &&
+      // Check if we have 2+ artifacts that can produce mana
+      state.battlefield.filter(c => isArtifact(c) && isPermanentManaSource(c)).length >= 2;
+
+    // Balance combo: cast 4+ cards, then Balance to force opponent discard
+    // Balance costs 1W, equalizes hands/creatures/lands
+    // Cast count includes tutors/spells that don't leave permanents
+    const balanceCombo =
+      state.hand.some((c) => threatOf(c.name) === "balance" && canPay(state.pool, c.manaCost)) &&
+      state.cast.length >= 4 &&
+      state.hand.length <= 3; // 2 cards left after Balance is cast
+
+    // "Big T1" plays: a "big" threat cast this turn (Paradoxical Outcome, Timetwister) or on the
+    // battlefield (Karn, Narset, Tezzeret, Trinisphere, Vexing Bauble).
+    const big =
+      state.battlefield.some((c) => threatOf(c.name) === "big") ||
+      state.cast.some((name) => threatOf(name) === "big") ||
+      balanceCombo ||
+      tezzBauble;
+
+    // Casting any selection/tutor is usually enough to call the hand functional.
+    const castSelection = state.cast.some((n) => isSelectionSpell(n));
+
+    // Free counters still in hand once the line is done (Force pitching a blue card, ...).
+    const backup = freeCounters(state.hand, { life: state.life });
+
+    // Holding up instant-speed Ancestral Recall with Force of Will backup is extremely strong
+    // Better than tapping out for tutors - you get 3 cards at instant speed with protection
+    // The Force has to be payable by pitching something other than the Ancestral itself
+    const ancestralWithForce =
+      handNames.has("Ancestral Recall") &&
+      freeCounters(state.hand.filter((c) => c.name !== "Ancestral Recall"), { life: state.life }).count >= 1 &&
+      poolTotal >= 1 &&
+      state.pool.U >= 1;
+
+    // Gitaxian Probe + Cabal Therapy combo
+    // Cast Probe (free, 2 life) to see opponent's hand, then Therapy (B) to name a card
+    // Better than blind tutoring - you get information and disruption
+    const probeTherapy = 
+      handNames.has("Gitaxian Probe") &&
+      handNames.has("Cabal Therapy") &&
+      state.pool.B >= 1;
+
+    // Vampiric/Mystical Tutor put Tinker on top with an artifact out to sacrifice: it's drawn and
+    // cast next turn.
+    const tinkerOnTop =
+      state.library[0]?.name === "Tinker" && !handNames.has("Tinker") && state.battlefield.some((c) => isArtifact(c));
+
+    // Basic stability: have a land or at least 2 permanent mana sources in play.
+    // Lotus/Petal count too: they're in play even if not cracked yet.
+    const permanentMana = state.battlefield.filter((c) => {
+      if (!isArtifact(c) && !isLand(c)) return false;
+      return isLand(c) || manaAbilities(c).length > 0;
+    }).length;
+
+    // A very simple scoring, kept as a list of { key, label, detail, points } so the UI can show
+    // where a line's score comes from. Only the items that score are listed.
+    const breakdown = [];
+    const add = (key, label, points, detail = "") => {
+      if (points) breakdown.push({ key, label, detail, points });
+    };
+    const win = infiniteTurns || tinkerWin || tezzTimeWalkWin || tezzUltimate;
+    add("win", "Win line", win ? w.win : 0);
+    add("big", "Big play (payoff / lock)", big ? w.big : 0);
+    add("ancestralWithForce", "Ancestral Recall held up with Force backup", ancestralWithForce ? w.ancestralWithForce : 0); // Higher than castSelection
+    add("probeTherapy", "Gitaxian Probe + Cabal Therapy", probeTherapy ? w.probeTherapy : 0); // Information + disruption combo
+    add("tinkerOnTop", "Tinker on top with an artifact out", tinkerOnTop ? w.tinkerOnTop : 0); // Strong setup for next turn win
+    add("castSelection", "Cast selection / tutor", castSelection ? w.castSelection : 0);
+    // Protection matters most once the line wins: keep the Force over one more cantrip.
+    const counters = Math.min(2, backup.count);
+    add("backup", "Free counters kept up", counters * (win ? w.counterKeptUpWin : w.counterKeptUp), `${backup.count}`);
+    add("pool", "Mana left in pool", Math.min(w.manaInPoolMax, poolTotal * w.manaInPool), `${poolTotal}`);
+    add("permanentMana", "Mana permanents", Math.min(w.manaPermanentMax, permanentMana * w.manaPermanent), `${permanentMana}`);
+    // A Construct is a real threat that grows with the artifact count, worth more than floating {2}.
+    const constructs = state.battlefield.filter((c) => c.name === "Construct Token").length;
+    add("constructs", "Construct tokens", constructs * w.construct, `${constructs}`);
+    // Strip Mine on a goldfish still sets the opponent back a land drop.
+    const stripped = opponentLands - state.opponentLands;
+    add("stripped", "Opponent lands destroyed", stripped * w.landDestroyed, `${stripped}`);
+    // A Mana Vault tapped just to float mana stays tapped and pings us every upkeep.
+    const tappedVaults = state.battlefield.filter((c) => c.tapped && abilitiesOf(c.name).upkeep?.damageIfTapped).length;
+    add("tappedVaults", "Mana Vault left tapped", -w.manaVaultTapped * tappedVaults, `${tappedVaults}`);
+    // Between otherwise equal lines, prefer the one that paid less life.
+    add("life", "Life paid", -w.lifePaid * (life - state.life), `${life - state.life}`);
+
+    // Against counterspells the line's key spell gets countered with the archetype's chance; every
+    // free counter we keep up is one more counter they need.
+    const counterRisk = disruption.counterChance && (win || big) ? disruption.counterChance ** (1 + counters) : 0;
+    add("counterRisk", `Countered by ${opponent?.name}`, -Math.round(counterRisk * (win ? w.win : w.big)), `${Math.round(counterRisk * 100)}%`);
+
+    const score = breakdown.reduce((sum, b) => sum + b.points, 0);
+    const tier = win ? 3 : big ? 2 : castSelection || poolTotal >= 2 ? 1 : 0;
+
+    return {
+      score,
+      breakdown,
+      tier,
+      backup,
+      counterRisk,
+      flags: { infiniteTurns, tinkerWin, tezzTimeWalkWin, tezzUltimate, big, castSelection, forceBackup: backup.count > 0 }
+    };
+  };
+
+  const describePool = (p) => {
+    const parts = [];
+    for (const k of ["W", "U", "B", "R", "G", "C"]) {
+      if (p[k]) parts.push(`${p[k]}${k}`);
+    }
+    if (p.flex) parts.push(`${p.flex}flex`);
+    if (p.CA) parts.push(`${p.CA}C (artifacts only)`);
+    return parts.length ? parts.join(" ") : "0";
+  };
+
+  const getArtifactsCount = (battlefield) => battlefield.filter((c) => isArtifact(c)).length;
+
+  const poolSymbol = { any: "flex" };
+
+  const describeYield = (produces, n) => {
+    if (produces === "any") return n === 1 ? "any color" : `${n} mana (any colors)`;
+    if (produces === "C") return "C".repeat(n);
+    return n === 1 ? produces : `${n}${produces}`;
+  };
+
+  const untappedManaPermanents = (state) => {
+    const artifactsCount = getArtifactsCount(state.battlefield);
+
+    const sources = [];
+
+    for (const perm of state.battlefield) {
+      if (perm.tapped || abilitiesStopped(perm)) continue;
+
+      const abilities = manaAbilities(perm);
+      abilities.forEach((ability, i) => {
+        if (ability.requires === "metalcraft" && artifactsCount < 3) return;
+        if (ability.lifeCost && state.life <= ability.lifeCost) return;
+
+        // Tolarian Academy: one U per artifact we control when it resolves.
+        const amountFor = (s) => (ability.amount === "artifacts" ? getArtifactsCount(s.battlefield) : ability.amount);
+        const what = ability.amount === "artifacts" ? `${ability.produces} per artifact` : describeYield(ability.produces, ability.amount);
+        const life = ability.lifeCost ? ` (pay ${ability.lifeCost} life)` : "";
+        const only = ability.spendOn === "artifacts" ? " (artifact spells only)" : "";
+        const verb = ability.sacrifice ? "Sac" : "Tap";
+        const symbol = ability.spendOn === "artifacts" ? "CA" : poolSymbol[ability.produces] || ability.produces;
+
+        sources.push({
+          id: abilities.length > 1 ? `${perm._id}:${i}` : perm._id,
+          label: `${verb} ${perm.name}${life} for ${what}${only}`,
+          run: (s) => {
+            const n = amountFor(s);
+            const next = { ...s };
+            next.pool = addPool(next.pool, { [symbol]: n });
+            next.life -= ability.lifeCost || 0;
+            next.battlefield = ability.sacrifice
+              ? next.battlefield.filter((c) => c._id !== perm._id)
+              : next.battlefield.map((c) => (c._id === perm._id ? { ...c, tapped: true } : c));
+            next.notes = [...next.notes, `${verb} ${perm.name} for ${describeYield(ability.produces, n)}${life}${only}`];
+            return next;
+          }
+        });
+      });
+    }
+
+    return sources;
+  };
+
+  // Non-mana activated abilities: Saga-granted ones (Urza's Saga's Construct from chapter II on)
+  // and Strip Mine on an opponent's land.
+  const loreAbilities = {
+    makeConstruct: (perm, state) => {
+      if (!canPay(state.pool, "{2}")) return null;
+      return {
+        label: `${perm.name}: pay {2}, tap — create a Construct token`,
+        run: (s) => {
+          const next = { ...s };
+          next.pool = pay(next.pool, "{2}", next.hand);
+          next.battlefield = [
+            ...next.battlefield.map((c) => (c._id === perm._id ? { ...c, tapped: true } : c)),
+            { name: "Construct Token", typeLine: "Artifact Creature — Construct", manaCost: "", token: true, _id: uniqId(), tapped: false, zone: "battlefield" }
+          ];
+          next.notes = [...next.notes, `${perm.name} → Construct token (${getArtifactsCount(next.battlefield)} artifacts)`];
+          return next;
+        }
+      };
+    }
+  };
+
+  const activatedAbilities = (state) => {
+    const actions = [];
+
+    for (const perm of state.battlefield) {
+      if (perm.tapped) continue;
+      const { lore, stripLand } = abilitiesOf(perm.name);
+
+      for (const [chapter, effect] of Object.entries(lore || {})) {
+        if ((perm.lore || 0) < Number(chapter) || !loreAbilities[effect]) continue;
+        const action = loreAbilities[effect](perm, state);
+        if (action) actions.push(action);
+      }
+
+      if (stripLand && state.opponentLands > 0) {
+        actions.push({
+          label: `Sac ${perm.name}: destroy an opponent's land`,
+          run: (s) => ({
+            ...s,
+            battlefield: s.battlefield.filter((c) => c._id !== perm._id),
+            opponentLands: s.opponentLands - 1,
+            notes: [...s.notes, `Sac ${perm.name} → destroy an opponent's land (${s.opponentLands - 1} left)`]
+          })
+        });
+      }
+    }
+
+    return actions;
+  };
+
+  // Untap abilities: Voltaic/Manifold Key ({1}, {T}) and Tezzeret's +1 (once per turn). They
+  // untap the tapped artifacts worth the most: Time Vault, then the biggest mana rock. A Key only
+  // bothers for Time Vault or a rock that nets mana.
+  const untapValue = (c) => {
+    if (c.name === "Time Vault") return 100;
+    return Math.max(0, ...manaAbilities(c).filter((m) => !m.sacrifice && typeof m.amount === "number").map((m) => m.amount));
+  };
+
+  const untapAbilities = (state) => {
+    const actions = [];
+
+    for (const perm of state.battlefield) {
+      const untap = abilitiesOf(perm.name).untap;
+      if (!untap || abilitiesStopped(perm)) continue;
+      if (untap.cost && (perm.tapped || !canPay(state.pool, untap.cost))) continue;
+      if (untap.loyalty && perm.loyaltyUsed) continue;
+
+      const minValue = untap.cost ? parseCmc(untap.cost) + 1 : 1;
+      const targets = state.battlefield
+        .filter((c) => c.tapped && c._id !== perm._id && isArtifact(c) && untapValue(c) >= minValue)
+        .sort((a, b) => untapValue(b) - untapValue(a))
+        .slice(0, untap.targets || 1);
+      if (!targets.length) continue;
+
+      const ids = new Set(targets.map((c) => c._id));
+      const what = targets.map((c) => c.name).join(" and ");
+      const label = untap.loyalty ? `${perm.name} +${untap.loyalty}: untap ${what}` : `${perm.name}: pay ${untap.cost}, untap ${what}`;
+
+      actions.push({
+        label,
+        run: (s) => {
+          const next = { ...s };
+          if (untap.cost) next.pool = pay(next.pool, untap.cost, next.hand);
+          next.battlefield = next.battlefield.map((c) => {
+            if (ids.has(c._id)) return { ...c, tapped: false };
+            if (c._id !== perm._id) return c;
+            return untap.loyalty
+              ? { ...c, loyalty: (c.loyalty || 0) + untap.loyalty, loyaltyUsed: true }
+              : { ...c, tapped: true };
+          });
+          next.notes = [...next.notes, label];
+          return next;
+        }
+      });
+    }
+
+    return actions;
+  };
+
+  // Very lightweight "resolved spell" effects, looked up by the registry's `resolve` name.
+  // Each one mutates the already-copied `next` state.
+  const resolveEffects = {
+    // Paradoxical Outcome: bounce all artifacts, return them to hand, draw that many, replay 0-cost ones
+    // (tokens just leave the battlefield and don't draw)
+    bounceArtifacts: (next) => {
+      const artifactsToBounce = next.battlefield.filter((p) => isArtifact(p) && !p.token);
+      const bouncedCount = artifactsToBounce.length;
+
+      if (bouncedCount > 0) {
+        // Return artifacts to hand
+        next.battlefield = next.battlefield.filter((p) => !isArtifact(p));
+        next.hand = [...next.hand, ...artifactsToBounce.map(p => ({ name: p.name, typeLine: p.typeLine, manaCost: p.manaCost }))];
+        const drawn = next.library.slice(0, bouncedCount);
+        next.library = next.library.slice(bouncedCount);
+        next.hand = [...next.hand, ...drawn];
+
+        // Replay 0-cost artifacts immediately
+        const zeroCosters = next.hand.filter((h) => isArtifact(h) && parseCmc(h.manaCost) === 0);
+        if (zeroCosters.length > 0) {
+          next.hand = next.hand.filter((h) => !zeroCosters.includes(h));
+          next.battlefield = [
+            ...next.battlefield,
+            ...zeroCosters.map(z => ({ ...z, _id: uniqId(), tapped: false, zone: "battlefield" }))
+          ];
+        }
+
+        next.notes = [
+          ...next.notes,
+          `PO → bounce ${bouncedCount} artifacts, draw ${drawn.map((c) => c.name).join(", ") || "nothing"}, replay ${zeroCosters.length} free artifacts`
+        ];
+      }
+    },
+
+    // Crop Rotation: sacrifice a land to fetch Tolarian Academy (if artifacts in play)
+    cropRotation: (next) => {
+      const hasLandToSac = next.battlefield.some((p) => isLand(p));
+      const artifactsCount = next.battlefield.filter((p) => isArtifact(p)).length;
+
+      const academy = next.library.find((c) => c.name === "Tolarian Academy");
+
+      if (hasLandToSac && artifactsCount >= 2 && academy) {
+        // Sacrifice a land (remove first land found)
+        const landToSac = next.battlefield.find((p) => isLand(p));
+        next.battlefield = next.battlefield.filter((p) => p._id !== landToSac._id);
+
+        // Fetch Tolarian Academy into play untapped
+        next.library = next.library.filter((c) => c !== academy);
+        next.battlefield = [...next.battlefield, { ...academy, _id: uniqId(), tapped: false, zone: "battlefield" }];
+
+        next.notes = [...next.notes, `Crop Rotation → sacrifice ${landToSac.name}, fetch Tolarian Academy (${artifactsCount} artifacts)`];
+      }
+    }
+  };
+
+  // How much the line wants `card` in hand: the missing half of Vault/Key first, Tinker with
+  // Blightsteel still in the library, then payoffs, big mana, selection, free counters. Lands
+  // only matter while we haven't made a land drop.
+  const cardValue = (card, state) => {
+    const have = (name) => state.battlefield.some((c) => c.name === name) || state.hand.some((c) => c.name === name);
+    const haveKey = have("Voltaic Key") || have("Manifold Key");
+
+    if ((card.name === "Voltaic Key" || card.name === "Manifold Key") && have("Time Vault") && !haveKey) return 100;
+    if (card.name === "Time Vault" && haveKey && !have("Time Vault")) return 100;
+    if (
+      card.name === "Tinker" &&
+      state.battlefield.some((c) => isArtifact(c)) &&
+      state.library.some((c) => c.name === "Blightsteel Colossus")
+    ) {
+      return 90;
+    }
+    if (isPayoff(card.name)) return 50;
+    if (manaAbilities(card).some((m) => typeof m.amount === "number" && m.amount >= 2)) return 45;
+    if (isSelectionSpell(card.name)) return 30;
+    if (abilitiesOf(card.name).pitch) return 25;
+    if (isLand(card)) return state.landName ? 5 : 35;
+    if (isPermanentManaSource(card)) return 20;
+    if (isInteraction(card.name)) return 15;
+    return 10;
+  };
+
+  const byValue = (state) => (a, b) => cardValue(b, state) - cardValue(a, state);
+
+  // Put straight onto the battlefield (Tinker), the biggest artifact is the best hit unless it
+  // completes Vault/Key.
+  const permanentValue = (card, state) => (cardValue(card, state) >= 100 ? 100 : parseCmc(card.manaCost) * 5);
+
+  const tutorFilters = {
+    instantOrSorcery: (c) => /instant|sorcery/i.test(c.typeLine || ""),
+    artifact: (c) => isArtifact(c),
+    artifactMv1: (c) => isArtifact(c) && parseCmc(c.manaCost) <= 1
+  };
+
+  // Distinct library cards a tutor could find, best first; each one is its own branch of the search.
+  const TUTOR_BRANCHES = 3;
+  const tutorTargets = (state, tutor) => {
+    const found = new Map();
+    for (const c of state.library) {
+      if (!found.has(c.name) && (!tutor.find || tutorFilters[tutor.find](c))) found.set(c.name, c);
+    }
+    const value = tutor.to === "battlefield" ? permanentValue : cardValue;
+    return [...found.values()].sort((a, b) => value(b, state) - value(a, state)).slice(0, TUTOR_BRANCHES);
+  };
+
+  // The artifact a sacrifice cost (Tinker) gives up: one already tapped for its mana if possible,
+  // then whichever the line needs least.
+  const artifactToSacrifice = (state) =>
+    state.battlefield
+      .filter((c) => isArtifact(c))
+      .sort((a, b) => (b.tapped ? 1 : 0) - (a.tapped ? 1 : 0) || cardValue(a, state) - cardValue(b, state))[0] || null;
+
+  // The library isn't reshuffled after a search: its order is already random.
+  const resolveTutor = (next, card, tutor, target) => {
+    if (tutor.lifeCost) next.life -= tutor.lifeCost;
+    if (!target) {
+      next.notes = [...next.notes, `${card.name} → nothing to find`];
+      return;
+    }
+    const i = next.library.indexOf(target);
+    const rest = [...next.library.slice(0, i), ...next.library.slice(i + 1)];
+    if (tutor.to === "top") {
+      next.library = [target, ...rest];
+      next.notes = [...next.notes, `${card.name} → ${target.name} on top of library`];
+    } else if (tutor.to === "battlefield") {
+      next.library = rest;
+      next.battlefield = [...next.battlefield, enterBattlefield(target)];
+      next.notes = [...next.notes, `${card.name} → ${target.name} onto the battlefield`];
+    } else {
+      next.library = rest;
+      next.hand = [...next.hand, target];
+      next.notes = [...next.notes, `${card.name} → ${target.name} to hand`];
+    }
+  };
+
+  // Ponder-style looks reorder the top cards best first before drawing; Brainstorm-style draws
+  // put the least useful cards in hand back, the better of them on top.
+  const resolveDraw = (next, card, { count, look = 0, putBack = 0 }) => {
+    if (look) {
+      const top = next.library.slice(0, look).sort(byValue(next));
+      next.library = [...top, ...next.library.slice(look)];
+    }
+    const drawn = next.library.slice(0, count);
+    next.library = next.library.slice(count);
+    next.hand = [...next.hand, ...drawn];
+
+    let note = `${card.name} → draw ${drawn.map((c) => c.name).join(", ") || "nothing"}`;
+    if (putBack) {
+      const back = [...next.hand].sort(byValue(next)).slice(-putBack);
+      next.hand = next.hand.filter((c) => !back.includes(c));
+      next.library = [...back, ...next.library];
+      note += `, put back ${back.map((c) => c.name).join(", ")}`;
+    }
+    next.notes = [...next.notes, note];
+  };
+
+  // A land drawn this turn can still be played if the hand had none.
+  const landDrops = (state) =>
+    state.landName
+      ? []
+      : state.hand.filter(isLand).map((land) => ({
+          label: `Play land: ${land.name}`,
+          run: (s) => {
+            const lore = abilitiesOf(land.name).lore ? { lore: 1 } : {};
+            return {
+              ...s,
+              hand: s.hand.filter((c) => c !== land),
+              battlefield: [...s.battlefield, { ...land, ...lore, _id: uniqId(), tapped: false, zone: "battlefield" }],
+              landName: land.name,
+              notes: [...s.notes, `Play land: ${land.name}`]
+            };
+          }
+        }));
+
+  // One action per distinct way to pay: Phyrexian symbols as mana or 2 life (never paying
+  // ourselves to 0), hybrid as either half, X from 0 up to what the pool could cover.
+  // Tutors get one action per target (see tutorTargets). 0-cost artifacts drawn mid-turn are
+  // played like the ones in the opening hand.
+  const castableCards = (state) =>
+    state.hand
+      .filter((c) => castsInSearch(c.name) || (isArtifact(c) && parseCmc(c.manaCost) === 0))
+      .filter((c) => !chaliced(c))
+      .flatMap((c) => {
+        const { tutor } = abilitiesOf(c.name);
+        if (tutor?.sacrifice && !artifactToSacrifice(state)) return [];
+        const tutorLife = tutor?.lifeCost || 0;
+        const tax = taxOf(c);
+        if (parseCmc(c.manaCost) === 0 && isArtifact(c) && !tax) return [{ card: c, option: { req: null, life: 0, x: 0, tax } }];
+        const artifact = isArtifact(c);
+        return costOptions(c.manaCost, sumMana(state.pool) + (artifact ? state.pool.CA : 0))
+          .map((o) => ({ ...o, req: { ...o.req, generic: o.req.generic + tax }, tax }))
+          .filter((o) => o.life + tutorLife < state.life && canPay(state.pool, o.req, artifact))
+          .map((option) => ({ card: c, option }));
+      })
+      .flatMap(({ card, option }) => {
+        const { tutor } = abilitiesOf(card.name);
+        if (!tutor) return [{ card, option, target: null }];
+        const targets = tutorTargets(state, tutor);
+        return targets.length ? targets.map((target) => ({ card, option, target })) : [{ card, option, target: null }];
+      })
+      .map(({ card: c, option, target }) => {
+        const sacrifice = abilitiesOf(c.name).tutor?.sacrifice ? artifactToSacrifice(state) : null;
+        const extras = [
+          option.x ? `X=${option.x}` : "",
+          option.life ? `pay ${option.life} life` : "",
+          option.tax ? `{${option.tax}} tax` : "",
+          sacrifice ? `sacrifice ${sacrifice.name}` : ""
+        ].filter(Boolean);
+        const label = `Cast ${c.name}${extras.length ? ` (${extras.join(", ")})` : ""}`;
+
+        return {
+          card: c,
+          label,
+          run: (s) => {
+            const next = { ...s };
+
+            // Move to battlefield if permanent; otherwise to "cast" log.
+            next.hand = next.hand.filter((x) => x !== c);
+            if (sacrifice) next.battlefield = next.battlefield.filter((p) => p._id !== sacrifice._id);
+
+            if (option.req) next.pool = pay(next.pool, option.req, next.hand, isArtifact(c));
+            next.life -= option.life;
+
+            next.cast = [...next.cast, c.name];
+
+            if (isLand(c)) {
+              // shouldn't happen here
+              return next;
+            }
+
+            if (!/instant|sorcery/i.test(c.typeLine || "")) {
+              next.battlefield = [...next.battlefield, enterBattlefield(c)];
+            }
+
+            next.notes = [...next.notes, label];
+
+            const { resolve, tutor, draw } = abilitiesOf(c.name);
+            resolveEffects[resolve]?.(next);
+            if (tutor) resolveTutor(next, c, tutor, target);
+            if (draw) resolveDraw(next, c, draw);
+
+            return next;
+          }
+        };
+      });
+
+  const dfs = (state, depth, seen) => {
+    const key = JSON.stringify({
+      land: state.landName,
+      hand: state.hand.map((c) => c.name).sort(),
+      bf: state.battlefield.map((c) => `${c.name}:${c.tapped ? 1 : 0}${c.loyaltyUsed ? "L" : ""}`).sort(),
+      pool: state.pool,
+      life: state.life,
+      opp: state.opponentLands,
+      top: state.library.slice(0, 3).map((c) => c.name)
+    });
+
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    const scored = scoreState(state);
+    if (alternatives) {
+      const k = lineKey(state);
+      const seenLine = lines.get(k);
+      if (!seenLine || scored.score > seenLine.score) lines.set(k, { ...scored, state });
+    }
+    if (scored.score > best.score || (scored.score === best.score && scored.tier > best.tier)) {
+      best.score = scored.score;
+      best.tier = scored.tier;
+      best.breakdown = scored.breakdown;
+      best.notes = state.notes;
+      best.flags = scored.flags;
+      best.backup = scored.backup;
+      best.counterRisk = scored.counterRisk;
+      best.final = state;
+    }
+
+    if (depth >= 18) return;
+
+    // Prefer casting before tapping everything (but include both).
+    const actions = [
+      ...castableCards(state),
+      ...untappedManaPermanents(state),
+      ...activatedAbilities(state),
+      ...untapAbilities(state),
+      ...landDrops(state)
+    ];
+
+    // Small prune: if nothing left, stop.
+    if (!actions.length) return;
+
+    for (const a of actions) {
+      dfs(a.run(state), depth + 1, seen);
+    }
+  };
+
+  for (const land of landChoices) {
+    // start state
+    const bf = [...battlefieldBase];
+    const handAfterLandPick = nonLandsBase.slice();
+    // Lands we didn't play stay in hand for later turns; the T1 search itself ignores them.
+    const heldLands = landsInHand.filter((c) => c !== land);
+
+    if (land) {
+      // move chosen land to battlefield (a Saga enters with its first lore counter)
+      const lore = abilitiesOf(land.name).lore ? { lore: 1 } : {};
+      bf.push({ ...land, ...lore, _id: uniqId(), tapped: false, zone: "battlefield" });
+    }
+
+    const start = {
+      hand: handAfterLandPick,
+      battlefield: bf,
+      pool: { ...startPool },
+      life,
+      opponentLands,
+      library: libraryBase,
+      heldLands,
+      landName: land?.name || null,
+      cast: [],
+      notes: [
+        `${turn === 1 ? "Start" : `Turn ${turn}`} (0-cost artifacts played: ${freeArtifacts.join(", ") || "none"})`,
+        ...upkeep,
+        ...sagaNotes,
+        land ? `Play land: ${land.name}` : "No land in hand"
+      ]
+    };
+
+    dfs(start, 0, new Set());
+  }
+
+  return {
+    tier: best.tier,
+    score: best.score,
+    breakdown: best.breakdown,
+    alternatives: alternatives ? runnerUpLines(lines, best, alternatives) : [],
+    bestLine: best.notes,
+    flags: best.flags,
+    backup: best.backup,
+    counterRisk: best.counterRisk,
+    final: best.final
+  };
+};
+
+// The main deck minus `hand`, shuffled: the library to use when the real one isn't known.
+export const remainingLibrary = (deckIndex, hand) => {
+  const left = [];
+  for (const entry of deckIndex.mainEntries()) {
+    const inHand = hand.filter((c) => c.name === entry.card.name).length;
+    for (let i = inHand; i < entry.count; i++) left.push(entry.card);
+  }
+  return shuffle(left);
+};
+
+export const simulateTurn1 = ({ hand, deckIndex, library = remainingLibrary(deckIndex, hand), opponent, alternatives, profile }) =>
+  simulateTurn({ hand, deckIndex, library, opponent, alternatives, profile });
+
+// Our turn 2 after `sim`'s best turn-1 line, with the opponent's permanents now in play: untap,
+// draw the top of its library and search the turn as the goldfish would.
+const turnTwoLine = ({ sim, deckIndex, opponent, profile, random }) => {
+  const { final } = sim;
+  const { battlefield, life, notes } = beginTurn(final.battlefield, final.life, random);
+  const [drew, ...rest] = final.library;
+  return simulateTurn({
+    hand: [...final.hand, ...final.heldLands, ...(drew ? [drew] : [])],
+    deckIndex,
+    library: rest,
+    battlefield,
+    turn: 2,
+    life,
+    opponentLands: final.opponentLands + 1,
+    upkeep: notes,
+    opponent,
+    profile
+  });
+};
+
+// Final mulligan advice wrapper: produces reasons + a keep/mull recommendation.
+// `mulligans` is how many times we've already mulliganed (London: the hand is 7 - mulligans cards).
+// `library` (top first) is what tutors and draw spells see; a shuffle of the rest of the deck if omitted.
+// `opponent` (an archetype from opponent-archetypes.json) judges the hand against its disruption.
+// Its lock pieces (tax, Chalice, Null Rod) land after our turn 1, so a hand without a tier 2+
+// turn 1 is also judged by its turn-2 line into them.
+// `alternatives` adds that many runner-up lines with their score difference to the best one.
+// `profile` (see scoring-profile.js) sets the line's scoring weights and the keep thresholds below.
+// `random` flips the Mana Crypt coin on that turn 2 (seeded by the keep-rate simulation).
+export const analyzeMulligan = ({
+  hand,
+  deckIndex,
+  mulligans = 0,
+  library,
+  opponent,
+  alternatives = 0,
+  profile = DEFAULT_SCORING_PROFILE,
+  random = Math.random
+}) => {
+  const keep = profile.keep;
+  const names = hand.map((c) => c.name);
+  const lands = hand.filter(isLand).length;
+  const interaction = hand.filter((c) => isInteraction(c.name)).length;
+  const selection = hand.filter((c) => isSelectionSpell(c.name)).length;
+  const payoff = hand.filter((c) => isPayoff(c.name)).length;
+
+  const sim = simulateTurn1({ hand, deckIndex, library, opponent, alternatives, profile });
+  const disruption = opponent?.disruption || {};
+  const lockPieces = !!disruption.tax || disruption.chalice !== undefined || !!disruption.nullRod;
+  const turnTwo = lockPieces && sim.tier < 2 ? turnTwoLine({ sim, deckIndex, opponent, profile, random }) : null;
+
+  const reasons = [];
+
+  if (sim.tier === 3) {
+    reasons.push("🏆 Virtual win / hard lock line found (or Tinker→Blightsteel). Keep.");
+  } else if (sim.tier === 2) {
+    reasons.push("✅ Strong T1 line found (payoff/lock/draw engine). Keep.");
+  } else if (sim.tier === 1) {
+    reasons.push("✅ Functional T1 line found (mana + selection / development). Usually keep.");
+  } else {
+    reasons.push("⚠️ No coherent T1 line found in this hand.");
+  }
+
+  if (sim.backup.count) {
+    reasons.push(
+      sim.tier === 3
+        ? `🛡️ Goes off with Force backup (${describeBackup(sim.backup)}).`
+        : `🛡️ Keeps up ${sim.backup.count} free counter${sim.backup.count > 1 ? "s" : ""} (${describeBackup(sim.backup)}).`
+    );
+  }
+
+  // Basic sanity checks.
+  if (lands === 0) reasons.push("⚠️ 0 lands (needs real action from fast mana + selection).");
+  if (lands >= 5) reasons.push(`⚠️ ${lands} lands (flood risk).`);
+  if (selection === 0) reasons.push("⚠️ No card selection/tutors in opener.");
+  if (payoff === 0) reasons.push("⚠️ No payoff/pressure piece in opener (may still be fine if selection is strong).");
+  if (interaction >= 1) reasons.push(`✅ Interaction present (${interaction}).`);
+
+  // Matchup.
+  if (opponent?.disruption) {
+    reasons.unshift(`🎯 vs ${opponent.name}${opponent.note ? `: ${opponent.note}` : ""}`);
+    if (sim.counterRisk >= 0.25) {
+      reasons.push(`⚔️ The line gets countered about ${Math.round(sim.counterRisk * 100)}% of the time without more free counters.`);
+    }
+    if (lockPieces && !turnTwo) {
+      reasons.push("🔒 On the play this line is done before their lock pieces land.");
+    } else if (turnTwo && turnTwo.tier < sim.tier) {
+      reasons.push(`🔒 Into their lock pieces the hand stalls on turn 2 (tier ${turnTwo.tier} line): judged as tier ${turnTwo.tier}.`);
+    } else if (turnTwo) {
+      reasons.push(`🔒 Still has a tier ${turnTwo.tier} line on turn 2 into their lock pieces.`);
+    }
+    if (disruption.clock) reasons.push(`⏱️ They goldfish around turn ${disruption.clock}: a hand without a real line is too slow.`);
+  }
+
+  // Decision (the numbers are the default profile's).
+  // - Tier 3/2: always keep (a tier 2 line that's countered half the time counts as tier 1).
+  // - Tier 1: keep unless it is extremely mana-awkward; against counterspells it needs
+  //   interaction of its own.
+  // - Tier 0: mull unless you have 2+ lands and interaction (fair keep), never against a fast clock.
+  // Against lock pieces a tier 0/1 hand counts as the worse of its turn-1 and turn-2 lines.
+  const counteredTier = sim.tier === 2 && sim.counterRisk >= keep.counteredBigPlay ? 1 : sim.tier;
+  const tier = turnTwo ? Math.min(counteredTier, turnTwo.tier) : counteredTier;
+  let decision = "MULLIGAN";
+  if (tier >= 2) decision = "KEEP";
+  else if (tier === 1) {
+    const functional = lands >= keep.functionalMinLands || selection >= keep.functionalMinSelection;
+    if (functional && (!disruption.counterChance || interaction >= 1)) decision = "KEEP";
+  } else if (!disruption.clock) {
+    // Tier 0: even with no coherent line, keep if you have lands + interaction + selection
+    // OR if you have 3+ fast mana + payoff + selection (0-land special case)
+    const fastMana = hand.filter((c) => {
+      const cmc = parseCmc(c.manaCost);
+      return isArtifact(c) && (cmc === 0 || cmc === 1) && isPermanentManaSource(c);
+    }).length;
+    
+    if (lands >= keep.fairMinLands && interaction >= keep.fairMinInteraction && selection >= keep.fairMinSelection) {
+      decision = "KEEP";
+    } else if (
+      fastMana >= keep.fastManaMin &&
+      payoff >= keep.fastManaMinPayoff &&
+      selection >= keep.fastManaMinSelection
+    ) {
+      decision = "KEEP"; // 0-land keep
+    }
+  }
+
+  // London mulligan: every mulligan costs a card, so the bar for a keep drops.
+  // - On 6: keep a land plus anything that does something.
+  // - On 5 or fewer: going lower is almost never better, so keep.
+  if (mulligans > 0) {
+    reasons.unshift(`↩️ Mulliganed to ${hand.length}.`);
+    if (decision === "MULLIGAN") {
+      if (hand.length <= keep.keepAnyOn) {
+        decision = "KEEP";
+        reasons.push(`✅ On ${hand.length} — keep and hope to draw into action.`);
+      } else if (lands >= keep.mulliganMinLands && selection + interaction + payoff >= keep.mulliganMinSpells) {
+        decision = "KEEP";
+        reasons.push(`✅ On ${hand.length} with a land and something to do — keep.`);
+      }
+    }
+  }
+
+  // Expose a short, readable line summary.
+  const lineSummary = (sim.bestLine || []).slice(0, 12);
+
+  return {
+    decision,
+    reasons,
+    line: lineSummary,
+    score: sim.score,
+    breakdown: sim.breakdown,
+    alternatives: sim.alternatives.map((alt) => ({ ...alt, line: alt.line.slice(0, 12) })),
+    flags: sim.flags,
+    stats: { lands, interaction, selection, payoff, tier: sim.tier, mulligans }
+  };
+};
+
+/* ----------------------------- London mulligan ---------------------------- */
+
+// The simulator never goes below 5 cards; analyzeMulligan always keeps by then anyway.
+export const MAX_SIM_MULLIGANS = 2;
+
+// All ways to choose k indices out of 0..n-1, in lexicographic order.
+const indexCombinations = (n, k, start = 0) => {
+  if (k === 0) return [[]];
+  const out = [];
+  for (let i = start; i <= n - k; i++) {
+    for (const rest of indexCombinations(n, k - 1, i + 1)) out.push([i, ...rest]);
+  }
+  return out;
+};
+
+// After the Nth mulligan we draw 7 and put N on the bottom.
+// Try every possible set of bottoms and keep the 7 - N cards with the best simulateTurn1 result.
+// Ties go to the hand holding more interaction/selection, since those matter beyond T1.
+// Every candidate sees the same `library`, with its bottomed cards under it.
+export const adviseBottom = ({
+  hand,
+  bottomCount,
+  deckIndex,
+  library = remainingLibrary(deckIndex, hand),
+  opponent,
+  profile
+}) => {
+  let best = null;
+
+  for (const bottom of indexCombinations(hand.length, bottomCount)) {
+    const kept = hand.filter((_, i) => !bottom.includes(i));
+    const sim = simulateTurn1({
+      hand: kept,
+      deckIndex,
+      library: [...library, ...bottom.map((i) => hand[i])],
+      opponent,
+      profile
+    });
+    const depth = kept.filter((c) => isInteraction(c.name) || isSelectionSpell(c.name)).length;
+
+    const better =
+      !best ||
+      sim.tier > best.tier ||
+      (sim.tier === best.tier && sim.score > best.score) ||
+      (sim.tier === best.tier && sim.score === best.score && depth > best.depth);
+    if (better) best = { bottom, tier: sim.tier, score: sim.score, depth };
+  }
+
+  return {
+    bottom: best.bottom,
+    tier: best.tier,
+    note: bottomCount
+      ? `Bottom ${best.bottom.map((i) => hand[i].name).join(", ")} (keeps a tier ${best.tier} T1 line).`
+      : null
+  };
+};
+
+// Play out a London mulligan sequence from `library`: mulligan while analyzeMulligan says so,
+// bottoming with adviseBottom each time. Returns the advice for the hand we end up keeping and
+// the remaining library in draw order (bottomed cards last).
+// The decisions only know which cards are left, not their order, so they draw from a separate
+// shuffle of the rest rather than peeking at the real top of the library.
+export const dealLondonKeep = ({ library, deckIndex, opponent, profile, random = Math.random }) => {
+  for (let mulligans = 0; ; mulligans++) {
+    const shuffled = shuffle(library, random);
+    const seven = shuffled.slice(0, 7);
+    const unknown = shuffle(shuffled.slice(7), random);
+    const { bottom } = adviseBottom({ hand: seven, bottomCount: mulligans, deckIndex, library: unknown, opponent, profile });
+    const hand = seven.filter((_, i) => !bottom.includes(i));
+    const advice = analyzeMulligan({
+      hand,
+      deckIndex,
+      mulligans,
+      library: [...unknown, ...bottom.map((i) => seven[i])],
+      opponent,
+      profile,
+      random
+    });
+    if (advice.decision === "KEEP" || mulligans >= MAX_SIM_MULLIGANS) {
+      const rest = [...shuffled.slice(7), ...bottom.map((i) => seven[i])];
+      return { hand, advice, mulligans, library: rest };
+    }
+  }
+};
+
+/* --------------------------- Keep-rate simulation -------------------------- */
+
+// Flags from scoreState that mark a "virtual win" line, in report order.
+export const WIN_FLAGS = [
+  "infiniteTurns",
+  "tinkerWin",
+  "tezzTimeWalkWin",
+  "tezzUltimate"
+];
+
+// Expand aggregated mainboard entries into the 60 physical cards we shuffle.
+export const expandDeck = (mainConfig) => {
+  const cards = [];
+  mainConfig.forEach((entry) => {
+    const count = entry.count || 1;
+    for (let i = 0; i < count; i++) cards.push(entry.card);
+  });
+  return cards;
+};
+
+// `keeps` counts 7-card keeps; `keptAt` breaks every game down by the hand size we kept.
+// Tiers and flags describe the hand that was finally kept.
+export const emptyKeepRateReport = () => ({
+  hands: 0,
+  keeps: 0,
+  keptAt: { 7: 0, 6: 0, 5: 0 },
+  tiers: [0, 0, 0, 0],
+  flags: {}
+});
+
+const addKeepToReport = (report, { hand, advice, mulligans }) => {
+  report.hands += 1;
+  if (mulligans === 0) report.keeps += 1;
+  report.keptAt[hand.length] = (report.keptAt[hand.length] || 0) + 1;
+  report.tiers[advice.stats.tier] += 1;
+  for (const [flag, on] of Object.entries(advice.flags || {})) {
+    if (on) report.flags[flag] = (report.flags[flag] || 0) + 1;
+  }
+  return report;
+};
+
+// Play `hands` London mulligan sequences from the current mainboard and tally the kept hands.
+// onProgress(report) is called every `progressEvery` hands so a worker can stream partial results.
+// With a `seed`, hand i is dealt from seededRandom(seed + i): two 60s of the same size whose
+// entries line up (a flex swap) see the same shuffles, only the swapped cards differ.
+export const simulateKeepRate = ({ mainConfig, deckIndex, hands, opponent, profile, seed, onProgress, progressEvery = 100 }) => {
+  const library = expandDeck(mainConfig);
+  const report = emptyKeepRateReport();
+
+  for (let i = 0; i < hands; i++) {
+    const random = seed === undefined ? Math.random : seededRandom(seed + i);
+    addKeepToReport(report, dealLondonKeep({ library, deckIndex, opponent, profile, random }));
+    if (onProgress && (i + 1) % progressEvery === 0 && i + 1 < hands) onProgress(report);
+  }
+
+  return report;
+};
+
+/* ------------------------------ Goldfish turns ----------------------------- */
+
+// Goldfishing on the play (no draw on turn 1); an archetype adds its disruption and clock.
+export const GOLDFISH_TURNS = 4;
+
+// Untap and upkeep between turns. Everything untaps except noUntap permanents (Time Vault, Mana
+// Vault), planeswalkers can be activated again and Sagas get their next lore counter (the chapter
+// itself resolves in simulateTurn). Then upkeep triggers: a still-tapped Mana Vault deals 1, and
+// Mana Crypt flips a coin and deals 3 on a loss.
+const beginTurn = (battlefield, life, random = Math.random) => {
+  const notes = [];
+  const untapped = battlefield.map((c) => {
+    const { noUntap, lore } = abilitiesOf(c.name);
+    const next = { ...c, tapped: noUntap ? c.tapped : false, loyaltyUsed: false };
+    if (lore) next.lore = (c.lore || 0) + 1;
+    return next;
+  });
+
+  for (const c of untapped) {
+    const { upkeep } = abilitiesOf(c.name);
+    if (upkeep?.damageIfTapped && c.tapped) {
+      life -= upkeep.damageIfTapped;
+      notes.push(`Upkeep: ${c.name} is tapped, take ${upkeep.damageIfTapped} (${life} life)`);
+    }
+    if (upkeep?.coinFlipDamage) {
+      if (random() < 0.5) {
+        life -= upkeep.coinFlipDamage;
+        notes.push(`Upkeep: lose the ${c.name} flip, take ${upkeep.coinFlipDamage} (${life} life)`);
+      } else {
+        notes.push(`Upkeep: win the ${c.name} flip`);
+      }
+    }
+  }
+
+  return { battlefield: untapped, life, notes };
+};
+
+// Step one hand through turns 1..turns: each turn draws, untaps, plays a land and runs the same
+// line search as simulateTurn1, carrying battlefield, hand and library forward from the previous
+// `final` (so a card Vampiric Tutor put on top is next turn's draw).
+// Stops at the first turn whose best line is a win (tier 3).
+// Against an archetype the game ends when its clock runs out (Dredge killing on their turn 3
+// leaves us turns 1–3), and a win line is countered with the chance simulateTurn reports.
+export const simulateGoldfish = ({ hand, library, deckIndex, turns = GOLDFISH_TURNS, opponent, profile }) => {
+  const clock = opponent?.disruption?.clock;
+  const lastTurn = clock ? Math.min(turns, clock) : turns;
+  const log = [];
+  let battlefield = [];
+  let inHand = hand;
+  let life = STARTING_LIFE;
+  // The opponent is on the draw and makes every land drop, so they have a land from our turn 2.
+  let opponentLands = 0;
+  let rest = library;
+  let upkeep = [];
+
+  for (let turn = 1; turn <= lastTurn; turn++) {
+    const drew = turn > 1 ? rest[0] || null : null;
+    if (drew) {
+      inHand = [...inHand, drew];
+      rest = rest.slice(1);
+    }
+    if (turn > 1) opponentLands += 1;
+
+    const sim = simulateTurn({
+      hand: inHand,
+      deckIndex,
+      library: rest,
+      battlefield,
+      turn,
+      life,
+      opponentLands,
+      upkeep,
+      opponent,
+      profile
+    });
+    log.push({ turn, drew: drew?.name || null, tier: sim.tier, line: sim.bestLine, flags: sim.flags });
+    if (sim.tier === 3) {
+      if (Math.random() < sim.counterRisk) {
+        log[log.length - 1].line = [...sim.bestLine, `Countered by ${opponent.name}`];
+        return { winTurn: null, countered: turn, turns: log };
+      }
+      return { winTurn: turn, turns: log };
+    }
+
+    inHand = [...sim.final.hand, ...sim.final.heldLands];
+    ({ battlefield, life, notes: upkeep } = beginTurn(sim.final.battlefield, sim.final.life));
+    if (life <= 0) return { winTurn: null, turns: log };
+    opponentLands = sim.final.opponentLands;
+    rest = sim.final.library;
+  }
+
+  return { winTurn: null, turns: log };
+};
+
+// `countered` counts the games (also in noWin) whose win line the opponent countered.
+export const emptyGoldfishReport = () => ({ games: 0, winsByTurn: {}, noWin: 0, countered: 0 });
+
+// Goldfish `games` London-mulligan keeps and tally the turn each one first has a win line online.
+export const simulateGoldfishRate = ({
+  mainConfig,
+  deckIndex,
+  games,
+  turns = GOLDFISH_TURNS,
+  opponent,
+  profile,
+  onProgress,
+  progressEvery = 50
+}) => {
+  const deck = expandDeck(mainConfig);
+  const report = emptyGoldfishReport();
+
+  for (let i = 0; i < games; i++) {
+    const { hand, library } = dealLondonKeep({ library: deck, deckIndex, opponent, profile });
+    const { winTurn, countered } = simulateGoldfish({ hand, library, deckIndex, turns, opponent, profile });
+    report.games += 1;
+    if (winTurn) report.winsByTurn[winTurn] = (report.winsByTurn[winTurn] || 0) + 1;
+    else report.noWin += 1;
+    if (countered) report.countered += 1;
+    if (onProgress && (i + 1) % progressEvery === 0 && i + 1 < games) onProgress(report);
+  }
+
+  return report;
+};
@@ -0,0 +1,98 @@
+import { describe, expect, it } from "vitest";
+
+import grixisTinker from "./decks/grixis-tinker-vintage.json";
+import opponentArchetypes from "./opponent-archetypes.json";
+import {
+  analyzeMulligan,
+  buildDeckIndex,
+  canPay,
+  isArtifact,
+  pay,
+  simulateGoldfish
+} from "./mulligan-engine.js";
+
+const pool = (mana) => ({ W: 0, U: 0, B: 0, R: 0, G: 0, C: 0, flex: 0, CA: 0, ...mana });
+
+const DEMONIC_TUTOR = { name: "Demonic Tutor", manaCost: "{1}{B}", typeLine: "Sorcery" };
+const ANCESTRAL_RECALL = { name: "Ancestral Recall", manaCost: "{U}", typeLine: "Instant" };
+const SOL_RING = { name: "Sol Ring", manaCost: "{1}", typeLine: "Artifact" };
+const BRAINSTORM = { name: "Brainstorm", manaCost: "{U}", typeLine: "Instant" };
+
+// Pay for `first` out of `start` the way the line search does, then check `second` is still castable.
+const castsBoth = (start, first, second) => {
+  expect(canPay(start, first.manaCost, isArtifact(first))).toBe(true);
+  const left = pay(start, first.manaCost, [second], isArtifact(first));
+  return canPay(left, second.manaCost, isArtifact(second));
+};
+
+// Lines a fixed spending order (generic from C, then flex, then W→U→B→R→G) gets wrong.
+describe("pay", () => {
+  it("keeps City of Brass for Ancestral after Demonic Tutor off Mox Jet + Mox Ruby + City", () => {
+    expect(castsBoth(pool({ B: 1, R: 1, flex: 1 }), DEMONIC_TUTOR, ANCESTRAL_RECALL)).toBe(true);
+  });
+
+  it("pays Demonic Tutor's {1} with G, not U, off Mox Sapphire + Mox Jet + Mox Emerald", () => {
+    expect(castsBoth(pool({ U: 1, B: 1, G: 1 }), DEMONIC_TUTOR, ANCESTRAL_RECALL)).toBe(true);
+  });
+
+  it("pays Sol Ring with R and keeps U for Brainstorm off Mox Sapphire + Mox Ruby", () => {
+    expect(castsBoth(pool({ U: 1, R: 1 }), SOL_RING, BRAINSTORM)).toBe(true);
+  });
+
+  it("pays Sol Ring out of Mishra's Workshop mana and keeps Mox Sapphire's U for Brainstorm", () => {
+    expect(castsBoth(pool({ CA: 3, U: 1 }), SOL_RING, BRAINSTORM)).toBe(true);
+  });
+});
+
+describe("analyzeMulligan against an archetype", () => {
+  const deck = grixisTinker;
+  const deckIndex = buildDeckIndex(deck);
+  const byName = new Map(deck.mainboard.map((e) => [e.card.name, e.card]));
+  const archetype = (id) => opponentArchetypes.find((o) => o.id === id);
+  // No land: Mox Sapphire into Ponder is a fine turn 1, but the Mox is taxed by Sphere/Thorn and
+  // turned off by Null Rod, and Ponder is a 1-drop under Chalice.
+  const hand = [
+    "Karn, the Great Creator",
+    "Trinket Mage",
+    "Ponder",
+    "Force of Will",
+    "Mox Sapphire",
+    "Force of Will",
+    "Mystical Tutor"
+  ].map((name) => byName.get(name));
+  // The rest of the deck in list order, so turn 2 always draws the same card.
+  const library = deck.mainboard.flatMap((e) => {
+    const left = (e.count || 1) - hand.filter((c) => c.name === e.card.name).length;
+    return Array.from({ length: left }, () => e.card);
+  });
+
+  it("keeps the hand against a goldfish", () => {
+    const advice = analyzeMulligan({ hand, deckIndex, library, opponent: archetype("goldfish") });
+    expect(advice.stats.tier).toBe(1);
+    expect(advice.decision).toBe("KEEP");
+  });
+
+  it.each(["shops", "eldrazi"])("mulligans it into the lock pieces of %s", (id) => {
+    const advice = analyzeMulligan({ hand, deckIndex, library, opponent: archetype(id) });
+    expect(advice.decision).toBe("MULLIGAN");
+    expect(advice.reasons.some((r) => r.includes("stalls on turn 2"))).toBe(true);
+  });
+});
+
+describe("simulateGoldfish", () => {
+  const URZAS_SAGA = { name: "Urza's Saga", manaCost: "", typeLine: "Enchantment Land — Urza's Saga" };
+  // Cards the line search does nothing with.
+  const filler = (n) => ({ name: `Filler ${n}`, manaCost: "{G}{G}{G}{G}", typeLine: "Creature" });
+
+  it("takes the artifact Urza's Saga fetches out of the library", () => {
+    // Turns 2 and 3 draw the fillers; chapter III on turn 3 fetches the Sol Ring under them.
+    const library = [filler(1), filler(2), SOL_RING, filler(3), filler(4)];
+    const { turns } = simulateGoldfish({
+      hand: [URZAS_SAGA, filler(5), filler(6)],
+      library,
+      deckIndex: buildDeckIndex(grixisTinker)
+    });
+    expect(turns[2].line.some((note) => note.includes("fetch Sol Ring"))).toBe(true);
+    expect(turns[3].drew).toBe("Filler 3");
+  });
+});
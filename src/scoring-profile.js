@@ -0,0 +1,71 @@
+/*
+  Scoring profiles: the weights scoreState adds up for a line and the thresholds analyzeMulligan
+  keeps hands by, tunable per deck.
+
+  A profile is { weights: { win: 1000, ... }, keep: { fairMinLands: 2, ... } } with the defaults in
+  scoring-profile.json (tuned for a 5c Tinker list). Deck files may ship a partial
+  `scoringProfile`; edits made in the app are kept in localStorage. Either one only needs the
+  numbers that differ: resolveScoringProfile fills in the rest and drops anything that isn't a
+  number the defaults know.
+*/
+
+import defaults from "./scoring-profile.json";
+
+export const DEFAULT_SCORING_PROFILE = defaults;
+
+// Labels for the settings panel, in display order.
+export const SCORING_FIELDS = {
+  weights: {
+    win: "Win line",
+    big: "Big play (payoff / lock)",
+    ancestralWithForce: "Ancestral Recall held up with Force backup",
+    probeTherapy: "Gitaxian Probe + Cabal Therapy",
+    tinkerOnTop: "Tinker on top with an artifact out",
+    castSelection: "Cast selection / tutor",
+    counterKeptUp: "Per free counter kept up (max 2)",
+    counterKeptUpWin: "Per free counter kept up, win lines",
+    manaInPool: "Per mana left in pool",
+    manaInPoolMax: "Mana left in pool, at most",
+    manaPermanent: "Per mana permanent",
+    manaPermanentMax: "Mana permanents, at most",
+    construct: "Per Construct token",
+    landDestroyed: "Per opponent land destroyed",
+    manaVaultTapped: "Penalty per Mana Vault left tapped",
+    lifePaid: "Penalty per life paid"
+  },
+  keep: {
+    functionalMinLands: "Functional (tier 1) hand: lands at least",
+    functionalMinSelection: "… or selection spells at least",
+    fairMinLands: "Fair keep (tier 0): lands at least",
+    fairMinInteraction: "Fair keep: interaction at least",
+    fairMinSelection: "Fair keep: selection at least",
+    fastManaMin: "0-land keep: fast mana at least",
+    fastManaMinPayoff: "0-land keep: payoffs at least",
+    fastManaMinSelection: "0-land keep: selection at least",
+    mulliganMinLands: "After a mulligan: lands at least",
+    mulliganMinSpells: "After a mulligan: selection + interaction + payoff at least",
+    keepAnyOn: "Keep any hand of this many cards",
+    counteredBigPlay: "Big play countered this often counts as tier 1 (0–1)"
+  }
+};
+
+const pickNumbers = (values, known) =>
+  Object.fromEntries(Object.keys(known).filter((k) => Number.isFinite(values?.[k])).map((k) => [k, values[k]]));
+
+// A full profile from a partial one (or nothing).
+export const resolveScoringProfile = (profile) => ({
+  weights: { ...defaults.weights, ...pickNumbers(profile?.weights, defaults.weights) },
+  keep: { ...defaults.keep, ...pickNumbers(profile?.keep, defaults.keep) }
+});
+
+// Only the numbers that differ from the defaults, for saving and sharing.
+export const diffScoringProfile = (profile) => {
+  const changed = (section) =>
+    Object.fromEntries(Object.entries(profile[section]).filter(([k, v]) => defaults[section][k] !== v));
+  const weights = changed("weights");
+  const keep = changed("keep");
+  return {
+    ...(Object.keys(weights).length ? { weights } : {}),
+    ...(Object.keys(keep).length ? { keep } : {})
+  };
+};
@@ -0,0 +1,100 @@
+/*
+  Sideboard plans: per-matchup in/out lists applied to the working 60/15.
+
+  A plan is { name, in: { "Tormod's Crypt": 1, ... }, out: { "Balance": 1, ... } }, matched
+  against the *current* card names (after flex swaps). Deck files may ship plans in a
+  `sideboardPlans` array; plans made in the app are kept in localStorage.
+
+  applySideboardPlan moves the cards and reports what keeps the plan from being a legal swap
+  (problems: cards that aren't there or not enough copies, unequal in/out) separately from
+  the post-board deck not ending at 60 / 15 (sizeProblems), which a pre-board list that is
+  already off — say a 61st card under test — causes for every plan.
+*/
+
+export const MAIN_SIZE = 60;
+export const SIDE_SIZE = 15;
+
+export const countCards = (config) => config.reduce((sum, e) => sum + (e.count || 1), 0);
+
+export const planSize = (counts = {}) => Object.values(counts).reduce((sum, n) => sum + n, 0);
+
+// Take up to `count` copies named `name` out of `config` (copy-on-write), returning how many came out
+// and the card that was taken.
+const takeCopies = (config, name, count) => {
+  let taken = 0;
+  let card = null;
+  for (let i = 0; i < config.length && taken < count; i++) {
+    const entry = config[i];
+    if (entry.card.name !== name) continue;
+    const n = Math.min(entry.count || 1, count - taken);
+    config[i] = { ...entry, count: (entry.count || 1) - n };
+    taken += n;
+    card = entry.card;
+  }
+  return { taken, card };
+};
+
+// Add copies of `card`, stacking onto an existing entry of the same name.
+// The post-board list is view-only, so moved cards don't need flex options.
+const addCopies = (config, card, count) => {
+  const i = config.findIndex((e) => e.card.name === card.name);
+  if (i >= 0) config[i] = { ...config[i], count: (config[i].count || 1) + count };
+  else config.push({ card, count, locked: false, flexOptions: [] });
+};
+
+// Checks the pre-board list itself (used for the sideboard header warning).
+export const deckSizeProblems = (mainConfig, sideConfig) => {
+  const problems = [];
+  const main = countCards(mainConfig);
+  const side = countCards(sideConfig);
+  if (main !== MAIN_SIZE) problems.push(`Mainboard has ${main} cards (expected ${MAIN_SIZE}).`);
+  if (side !== SIDE_SIZE) problems.push(`Sideboard has ${side} cards (expected ${SIDE_SIZE}).`);
+  return problems;
+};
+
+// Returns { mainConfig, sideConfig, problems, sizeProblems }.
+export const applySideboardPlan = ({ mainConfig, sideConfig, plan }) => {
+  const main = [...mainConfig];
+  const side = [...sideConfig];
+  const problems = [];
+
+  const ins = plan?.in || {};
+  const outs = plan?.out || {};
+
+  const taken = { in: [], out: [] };
+  for (const [name, count] of Object.entries(outs)) {
+    if (!count) continue;
+    const result = takeCopies(main, name, count);
+    if (result.taken < count) problems.push(`Out: only ${result.taken} of ${count} ${name} in the mainboard.`);
+    if (result.taken) taken.out.push({ card: result.card, count: result.taken });
+  }
+  for (const [name, count] of Object.entries(ins)) {
+    if (!count) continue;
+    const result = takeCopies(side, name, count);
+    if (result.taken < count) problems.push(`In: only ${result.taken} of ${count} ${name} in the sideboard.`);
+    if (result.taken) taken.in.push({ card: result.card, count: result.taken });
+  }
+
+  for (const { card, count } of taken.in) addCopies(main, card, count);
+  for (const { card, count } of taken.out) addCopies(side, card, count);
+
+  const boardedMain = main.filter((e) => (e.count || 0) > 0);
+  const boardedSide = side.filter((e) => (e.count || 0) > 0);
+
+  if (planSize(ins) !== planSize(outs)) {
+    problems.push(`Plan brings in ${planSize(ins)} and takes out ${planSize(outs)}.`);
+  }
+  const sizeProblems = deckSizeProblems(boardedMain, boardedSide).map((p) => `After boarding: ${p}`);
+
+  return { mainConfig: boardedMain, sideConfig: boardedSide, problems, sizeProblems };
+};
+
+// "vs Dredge: +1 Tormod's Crypt, +1 Archive Trap, −1 Balance, −1 Narset, Parter of Veils"
+export const describePlan = (plan) => {
+  const part = (sign, counts) =>
+    Object.entries(counts || {})
+      .filter(([, n]) => n > 0)
+      .map(([name, n]) => `${sign}${n} ${name}`);
+  const parts = [...part("+", plan.in), ...part("−", plan.out)];
+  return `${plan.name}: ${parts.length ? parts.join(", ") : "no changes"}`;
+};
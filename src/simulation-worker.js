@@ -0,0 +1,18 @@
+// Runs the Monte Carlo simulations off the main thread so the page stays responsive during long runs.
+// Messages in:  { kind: "keepRate" | "goldfish", mainConfig, count, opponent?, profile?, seed? }
+// Messages out: { type: "progress", report } ... then { type: "done", report }
+
+import { buildDeckIndex, simulateGoldfishRate, simulateKeepRate } from "./mulligan-engine.js";
+
+self.onmessage = (e) => {
+  const { kind, mainConfig, count, opponent, profile, seed } = e.data;
+  const deckIndex = buildDeckIndex({ mainboard: mainConfig });
+  const onProgress = (partial) => self.postMessage({ type: "progress", report: partial });
+
+  const report =
+    kind === "goldfish"
+      ? simulateGoldfishRate({ mainConfig, deckIndex, games: count, opponent, profile, onProgress })
+      : simulateKeepRate({ mainConfig, deckIndex, hands: count, opponent, profile, seed, onProgress });
+
+  self.postMessage({ type: "done", report });
+};